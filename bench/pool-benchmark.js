@@ -0,0 +1,107 @@
+/**
+ * Pipeline Defender - Entity Pool Benchmark
+ * Runs a dense headless session with and without entity pooling and reports simulation time,
+ * garbage collection pauses and how many entity objects each run allocated
+ *
+ * Usage: node bench/pool-benchmark.js [ticks] [runs]
+ */
+
+const { PerformanceObserver } = require('perf_hooks');
+const PipelineDefenderGame = require('../js/game.js');
+
+const TICKS = parseInt(process.argv[2], 10) || 20000;
+const RUNS = parseInt(process.argv[3], 10) || 3;
+
+// One endless stage with a bug-hell spawn rate and a power-up every couple of seconds
+const STRESS_LEVELS = [{
+    name: 'STRESS',
+    duration: 100000,
+    spawnRate: 0.6,
+    bugSpeed: { start: 2, end: 2 },
+    powerUpInterval: 2
+}];
+
+// Sweep left and right across the pipeline, firing every tick
+function createSweepingInput(game) {
+    return {
+        getMovementDirection() {
+            return Math.floor(game.tickCount / 90) % 2 === 0 ? 1 : -1;
+        },
+        reset() {}
+    };
+}
+
+function runSession(pooling) {
+    const game = new PipelineDefenderGame({
+        headless: true,
+        pooling,
+        levels: STRESS_LEVELS,
+        events: { emit() {} }
+    });
+    game.config.maxIntegrity = Infinity; // nothing ends the run early
+    game.input = createSweepingInput(game);
+
+    const originalLog = console.log;
+    console.log = () => {}; // the game's start-up logging would drown the report
+    game.startNewGame({ seed: 'pool-benchmark' });
+    console.log = originalLog;
+
+    const gcPauses = [];
+    const observer = new PerformanceObserver(list => {
+        list.getEntries().forEach(entry => gcPauses.push(entry.duration));
+    });
+    observer.observe({ entryTypes: ['gc'] });
+
+    let peakObjects = 0;
+    const start = process.hrtime.bigint();
+    for (let tick = 0; tick < TICKS && game.isRunning; tick++) {
+        game.shoot();
+        game.step();
+        peakObjects = Math.max(peakObjects, game.projectiles.length + game.bugs.length + game.powerUps.length);
+    }
+    const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+    // GC entries are delivered asynchronously - collect them before reporting
+    return new Promise(resolve => setTimeout(() => {
+        observer.disconnect();
+        resolve({
+            pooling,
+            elapsedMs,
+            gcCount: gcPauses.length,
+            gcTotalMs: gcPauses.reduce((sum, pause) => sum + pause, 0),
+            gcMaxMs: gcPauses.length ? Math.max(...gcPauses) : 0,
+            allocated: game.projectilePool.created + game.bugPool.created + game.powerUpPool.created,
+            peakObjects
+        });
+    }, 100));
+}
+
+function report(label, results) {
+    const average = key => results.reduce((sum, result) => sum + result[key], 0) / results.length;
+    console.log(
+        `${label.padEnd(10)}` +
+        `${average('elapsedMs').toFixed(1).padStart(10)} ms` +
+        `${average('gcCount').toFixed(1).padStart(8)} GCs` +
+        `${average('gcTotalMs').toFixed(2).padStart(10)} ms in GC` +
+        `${Math.max(...results.map(result => result.gcMaxMs)).toFixed(2).padStart(9)} ms worst pause` +
+        `${Math.round(average('allocated')).toString().padStart(10)} entities allocated` +
+        `${Math.round(average('peakObjects')).toString().padStart(7)} peak live`
+    );
+}
+
+async function main() {
+    console.log(`Dense session: ${TICKS} ticks x ${RUNS} runs per mode\n`);
+
+    const results = { pooled: [], unpooled: [] };
+
+    // Alternate the modes so warm-up and heap growth don't favour either one
+    for (let run = 0; run < RUNS; run++) {
+        results.unpooled.push(await runSession(false));
+        results.pooled.push(await runSession(true));
+    }
+
+    report('unpooled', results.unpooled);
+    report('pooled', results.pooled);
+}
+
+main();
\ No newline at end of file
@@ -0,0 +1,72 @@
+/**
+ * Pipeline Defender - Power-up Abilities
+ * Timed abilities granted by collecting a power-up, looked up by the `ability.type` of a
+ * bug type registry entry's powerUp
+ *
+ * An ability is an object with optional hooks:
+ *   onFire(projectile, params, game)           - runs for each shot the player fires
+ *   onBugMoved(bug, params, game)              - runs after a bug's behaviour moved it (from bug.prevX/prevY)
+ *   onEscape(bug, state, params, game)         - runs when a bug reaches the bottom; return true to block it
+ *
+ * Registry parameters:
+ *   duration    - seconds the ability lasts
+ *   stacking    - what collecting it again while active does:
+ *                 'refresh' resets the countdown, 'extend' adds `duration` up to `maxDuration`
+ *   charges     - optional uses per pickup (stacking up to `maxCharges`); the ability ends when they run out
+ */
+
+const POWER_UP_ABILITIES = {
+    // TEST: every shot fans out into extra projectiles
+    spreadShot: {
+        onFire(projectile, params, game) {
+            [-1, 1].forEach(direction => {
+                game.addProjectile({
+                    x: projectile.x,
+                    y: projectile.y,
+                    vx: projectile.vx + direction * params.spread,
+                    damage: projectile.damage,
+                    pierce: projectile.pierce,
+                    speed: projectile.speed,
+                    width: projectile.width,
+                    height: projectile.height,
+                    sprite: projectile.sprite,
+                    color: projectile.color
+                });
+            });
+        }
+    },
+
+    // SEC: a firewall at the bottom of the pipeline stops escaping bugs
+    shield: {
+        onEscape(bug, state) {
+            state.charges--;
+            return true;
+        }
+    },
+
+    // QUAL: bugs move at a fraction of their speed
+    slowBugs: {
+        onBugMoved(bug, params) {
+            bug.x = bug.prevX + (bug.x - bug.prevX) * params.factor;
+            bug.y = bug.prevY + (bug.y - bug.prevY) * params.factor;
+        }
+    },
+
+    // CSM: phasing secrets stay visible and can always be hit
+    reveal: {
+        onBugMoved(bug) {
+            if (bug.intangible !== undefined) {
+                bug.intangible = false;
+                bug.opacity = 1;
+            }
+        }
+    }
+};
+
+// Make the ability table available globally (browser) and as a CommonJS module (Node)
+if (typeof window !== 'undefined') {
+    window.POWER_UP_ABILITIES = POWER_UP_ABILITIES;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = POWER_UP_ABILITIES;
+}
\ No newline at end of file
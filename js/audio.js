@@ -0,0 +1,279 @@
+/**
+ * Pipeline Defender - Audio
+ * Procedural chiptune sound effects and music synthesised with the Web Audio API - no audio files
+ *
+ * Sounds are driven by the game's simulation events (forwarded by the browser event sink), so the
+ * simulation itself stays silent and headless runs need no audio. Browsers only allow an
+ * AudioContext to start after a user gesture, so it's created on the first key press or touch.
+ *
+ * Signal chain: effects gain and music gain -> master gain -> speakers. The master and effects
+ * volumes come from the settings screen; music plays at a fixed share of the master volume.
+ */
+
+// MIDI note number to frequency in Hz
+const noteFrequency = note => 440 * Math.pow(2, (note - 69) / 12);
+
+// Background loop in A minor - one entry per sixteenth note, null for a rest
+const MUSIC_PATTERN = {
+    bass: [45, null, 45, null, 52, null, 45, null, 48, null, 48, null, 43, null, 47, null],
+    lead: [69, 72, 76, 72, 69, 72, 76, 79, 72, 76, 79, 76, 67, 71, 74, 71]
+};
+
+class AudioManager {
+    constructor() {
+        this.config = {
+            musicVolume: 0.35, // share of the master volume
+            minTempo: 110, // BPM at the start of a stage
+            maxTempo: 190, // BPM as the countdown reaches zero (and during boss fights)
+            lookahead: 0.1, // seconds of music scheduled ahead of the audio clock
+            schedulerInterval: 25, // ms between scheduler runs
+            warningTime: 10 // seconds left when the countdown starts beeping
+        };
+
+        this.context = null; // created on the first user gesture
+        this.volumes = { master: 0.8, effects: 0.8 };
+        this.isPaused = false;
+
+        // Music state
+        this.musicTimer = null;
+        this.musicStep = 0;
+        this.nextNoteTime = 0;
+        this.intensity = 0; // 0..1 - how far the stage countdown has run down
+
+        this.unlock = this.unlock.bind(this);
+        ['keydown', 'pointerdown'].forEach(type => document.addEventListener(type, this.unlock));
+    }
+
+    static isSupported() {
+        return typeof window !== 'undefined' && !!(window.AudioContext || window.webkitAudioContext);
+    }
+
+    // Create (or wake up) the audio context from inside a user gesture
+    unlock() {
+        if (!AudioManager.isSupported()) return;
+
+        if (!this.context) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            this.context = new AudioContextClass();
+
+            this.masterGain = this.context.createGain();
+            this.masterGain.connect(this.context.destination);
+            this.effectsGain = this.context.createGain();
+            this.effectsGain.connect(this.masterGain);
+            this.musicGain = this.context.createGain();
+            this.musicGain.connect(this.masterGain);
+            this.applyVolumes();
+        }
+
+        if (this.context.state === 'suspended' && !this.isPaused) {
+            this.context.resume();
+        }
+    }
+
+    /**
+     * @param {number} master - 0..100
+     * @param {number} effects - 0..100
+     */
+    setVolumes(master, effects) {
+        this.volumes.master = master / 100;
+        this.volumes.effects = effects / 100;
+        this.applyVolumes();
+    }
+
+    applyVolumes() {
+        if (!this.context) return;
+
+        this.masterGain.gain.value = this.volumes.master;
+        this.effectsGain.gain.value = this.volumes.effects;
+        this.musicGain.gain.value = this.config.musicVolume;
+    }
+
+    canPlay() {
+        return !!this.context && !this.isPaused && this.volumes.master > 0;
+    }
+
+    // Simulation events -> sounds
+    handleEvent(type, payload) {
+        switch (type) {
+            case 'gameStart':
+                this.isPaused = false;
+                this.startMusic();
+                break;
+            case 'levelStart':
+                this.intensity = 0;
+                break;
+            case 'shotFired':
+                this.playShot(payload);
+                break;
+            case 'bugKilled':
+                this.playBugKill(payload.type);
+                break;
+            case 'powerUpCollected':
+                this.playSequence('square', [72, 76, 79, 84], 0.06, 0.25);
+                break;
+            case 'weaponEquipped':
+                this.playSequence('square', [67, 74, 79], 0.07, 0.25);
+                break;
+            case 'bugEscaped':
+                this.playTone({ wave: 'sawtooth', frequency: 220, endFrequency: 55, duration: 0.4, volume: 0.35 });
+                break;
+            case 'timerTick':
+                this.handleTimerTick(payload);
+                break;
+            case 'bossSpawn':
+                this.intensity = 1;
+                this.playSequence('sawtooth', [57, 63, 57, 63], 0.15, 0.3);
+                break;
+            case 'gamePaused':
+                this.pause();
+                break;
+            case 'gameResumed':
+                this.resume();
+                break;
+            case 'gameQuit':
+                this.stopMusic();
+                this.resume(); // quitting happens while paused - wake the context for the next run
+                break;
+            case 'gameOver':
+                this.stopMusic();
+                this.playStinger(payload.success);
+                break;
+        }
+    }
+
+    // Music speeds up as the countdown runs down; the last seconds beep
+    handleTimerTick({ timeLeft, duration }) {
+        this.intensity = Math.min(1, Math.max(0, 1 - timeLeft / duration));
+
+        if (timeLeft > 0 && timeLeft <= this.config.warningTime) {
+            const urgent = timeLeft <= 3;
+            this.playTone({ wave: 'square', frequency: urgent ? 1760 : 1320, duration: 0.08, volume: 0.2 });
+        }
+    }
+
+    playShot({ charged }) {
+        if (charged) {
+            this.playTone({ wave: 'sawtooth', frequency: 180, endFrequency: 900, duration: 0.25, volume: 0.3 });
+        } else {
+            this.playTone({ wave: 'square', frequency: 1200, endFrequency: 400, duration: 0.07, volume: 0.12 });
+        }
+    }
+
+    // Each bug type has its own kill sound in the registry
+    playBugKill(bugType) {
+        const type = BUG_TYPES.get(bugType);
+        if (!type || !type.killSound) return;
+
+        this.playSequence(type.killSound.wave, type.killSound.notes, type.killSound.step, 0.3);
+    }
+
+    playStinger(success) {
+        if (success) {
+            this.playSequence('square', [72, 76, 79, 84, 88], 0.12, 0.3);
+        } else {
+            this.playSequence('triangle', [69, 65, 62, 57, 45], 0.2, 0.35);
+        }
+    }
+
+    /**
+     * One enveloped oscillator note on the effects bus
+     * @param {Object} tone
+     * @param {string} tone.wave - oscillator type ('square', 'triangle', 'sawtooth', 'sine')
+     * @param {number} tone.frequency - start frequency in Hz
+     * @param {number} [tone.endFrequency] - glide to this frequency over the note
+     * @param {number} tone.duration - seconds
+     * @param {number} tone.volume - peak gain
+     * @param {number} [tone.delay] - seconds from now
+     * @param {GainNode} [tone.output] - bus to play on (effects by default)
+     */
+    playTone({ wave, frequency, endFrequency, duration, volume, delay = 0, output }) {
+        if (!this.canPlay()) return;
+
+        const start = this.context.currentTime + delay;
+        const oscillator = this.context.createOscillator();
+        const envelope = this.context.createGain();
+
+        oscillator.type = wave;
+        oscillator.frequency.setValueAtTime(frequency, start);
+        if (endFrequency) {
+            oscillator.frequency.exponentialRampToValueAtTime(endFrequency, start + duration);
+        }
+
+        // Short attack, exponential decay - the classic chip "blip"
+        envelope.gain.setValueAtTime(0.0001, start);
+        envelope.gain.exponentialRampToValueAtTime(volume, start + 0.005);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+
+        oscillator.connect(envelope);
+        envelope.connect(output || this.effectsGain);
+        oscillator.start(start);
+        oscillator.stop(start + duration + 0.02);
+    }
+
+    // Notes (MIDI numbers) played one after another, `step` seconds apart
+    playSequence(wave, notes, step, volume) {
+        notes.forEach((note, index) => {
+            this.playTone({ wave, frequency: noteFrequency(note), duration: step * 0.9, volume, delay: index * step });
+        });
+    }
+
+    // Background loop - notes are scheduled slightly ahead on the audio clock so timers can't make it stutter
+    startMusic() {
+        this.stopMusic();
+        if (!this.context) return;
+
+        this.musicStep = 0;
+        this.intensity = 0;
+        this.nextNoteTime = this.context.currentTime + 0.05;
+        this.musicTimer = setInterval(() => this.scheduleMusic(), this.config.schedulerInterval);
+    }
+
+    stopMusic() {
+        if (this.musicTimer) {
+            clearInterval(this.musicTimer);
+            this.musicTimer = null;
+        }
+    }
+
+    scheduleMusic() {
+        // While paused the audio clock stands still, so nothing new gets scheduled
+        while (this.nextNoteTime < this.context.currentTime + this.config.lookahead) {
+            const step = this.musicStep % MUSIC_PATTERN.lead.length;
+            const tempo = this.config.minTempo + (this.config.maxTempo - this.config.minTempo) * this.intensity;
+            const sixteenth = 60 / tempo / 4;
+            const delay = Math.max(0, this.nextNoteTime - this.context.currentTime);
+
+            const bass = MUSIC_PATTERN.bass[step];
+            if (bass !== null) {
+                this.playTone({
+                    wave: 'triangle', frequency: noteFrequency(bass), duration: sixteenth * 1.8,
+                    volume: 0.5, delay, output: this.musicGain
+                });
+            }
+            this.playTone({
+                wave: 'square', frequency: noteFrequency(MUSIC_PATTERN.lead[step]), duration: sixteenth * 0.8,
+                volume: 0.12, delay, output: this.musicGain
+            });
+
+            this.nextNoteTime += sixteenth;
+            this.musicStep++;
+        }
+    }
+
+    pause() {
+        this.isPaused = true;
+        if (this.context && this.context.state === 'running') {
+            this.context.suspend();
+        }
+    }
+
+    resume() {
+        this.isPaused = false;
+        if (this.context && this.context.state === 'suspended') {
+            this.context.resume();
+        }
+    }
+}
+
+// Make AudioManager available globally
+window.AudioManager = AudioManager;
\ No newline at end of file
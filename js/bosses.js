@@ -0,0 +1,104 @@
+/**
+ * Pipeline Defender - Boss Encounters
+ * Multi-hit bosses that close out a level (referenced by a level's `boss` field)
+ *
+ * name           - shown above the health bar
+ * bugType        - registry bug type whose sprite and colour the boss uses
+ * minionTypes    - bug types its attacks drop
+ * health         - hit points; each ordinary projectile hit on the body deals 1
+ * width, height  - boss size in pixels
+ * hoverY         - y position the boss descends to before attacking
+ * sweepSpeed     - horizontal speed per tick
+ * points         - score for defeating it
+ * attackInterval - seconds between attacks; attacks cycle in order
+ * attacks        - names from BOSS_ATTACKS
+ * minionSize     - size of dropped bugs
+ * weakPoint      - region (fractions of the boss box) that ordinary shots can't hurt: collecting
+ *                  the `powerUp` exposes it for a few seconds, and hits on it then deal `damage`
+ */
+
+const BOSS_DEFINITIONS = {
+    'critical-cve': {
+        name: 'CRITICAL CVE',
+        bugType: 'Security Bugs',
+        minionTypes: ['Security Bugs', 'Embedded Secrets'],
+        health: 40,
+        width: 180,
+        height: 120,
+        hoverY: 30,
+        sweepSpeed: 1.5,
+        points: 500,
+        attackInterval: 2,
+        attacks: ['spread', 'barrage'],
+        minionSize: 30,
+        weakPoint: { powerUp: 'SEC', x: 0.4, y: 0.6, width: 0.2, height: 0.4, damage: 5 }
+    },
+    'production-incident': {
+        name: 'PRODUCTION INCIDENT',
+        bugType: 'Functional Errors',
+        minionTypes: ['Functional Errors', 'Quality Bugs', 'Security Bugs'],
+        health: 60,
+        width: 220,
+        height: 130,
+        hoverY: 30,
+        sweepSpeed: 2,
+        points: 1000,
+        attackInterval: 1.5,
+        attacks: ['rain', 'spread', 'barrage'],
+        minionSize: 32,
+        weakPoint: { powerUp: 'TEST', x: 0.35, y: 0.55, width: 0.3, height: 0.45, damage: 6 }
+    }
+};
+
+// Attack patterns - each drops minions through game.addBug and must only use game.rng.
+// Minion speeds are scaled by the difficulty's bugSpeedScale, like ordinary spawns
+const BOSS_ATTACKS = {
+    // Fan of three minions from under the boss
+    spread(boss, game) {
+        const centerX = boss.x + boss.width / 2 - boss.minionSize / 2;
+        [-1, 0, 1].forEach(offset => {
+            game.addBug({
+                type: game.rng.pick(boss.minionTypes),
+                x: Math.max(0, Math.min(game.gameWidth - boss.minionSize, centerX + offset * boss.minionSize * 1.5)),
+                y: boss.y + boss.height,
+                size: boss.minionSize,
+                speed: 1.6 * game.config.bugSpeedScale
+            });
+        });
+    },
+
+    // Quick column of minions straight down
+    barrage(boss, game) {
+        for (let i = 0; i < 2; i++) {
+            game.addBug({
+                type: game.rng.pick(boss.minionTypes),
+                x: boss.x + boss.width / 2 - boss.minionSize / 2,
+                y: boss.y + boss.height - i * boss.minionSize * 1.5,
+                size: boss.minionSize,
+                speed: 2.2 * game.config.bugSpeedScale
+            });
+        }
+    },
+
+    // Minions across the whole width of the pipeline
+    rain(boss, game) {
+        for (let i = 0; i < 4; i++) {
+            game.addBug({
+                type: game.rng.pick(boss.minionTypes),
+                x: game.rng.next() * (game.gameWidth - boss.minionSize),
+                y: -boss.minionSize,
+                size: boss.minionSize,
+                speed: (1.2 + game.rng.next()) * game.config.bugSpeedScale
+            });
+        }
+    }
+};
+
+// Make the boss tables available globally (browser) and as a CommonJS module (Node)
+if (typeof window !== 'undefined') {
+    window.BOSS_DEFINITIONS = BOSS_DEFINITIONS;
+    window.BOSS_ATTACKS = BOSS_ATTACKS;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BOSS_DEFINITIONS, BOSS_ATTACKS };
+}
\ No newline at end of file
@@ -0,0 +1,99 @@
+/**
+ * Pipeline Defender - Bug Behaviours
+ * Pluggable per-type movement, looked up by the `behavior.type` of a bug type registry entry
+ *
+ * A behaviour is an object with:
+ *   update(bug, params, game)    - required, moves the bug one simulation tick
+ *   onSpawn(bug, params, game)   - optional, sets up per-bug state
+ *   onKilled(bug, params, game)  - optional, runs when a projectile destroys the bug
+ *
+ * `params` is the registry entry's behavior object, so tuning lives next to the bug type.
+ * Behaviours must only use game.rng for randomness so seeded runs and replays stay deterministic.
+ */
+
+const BUG_BEHAVIORS = {
+    // Straight down at the bug's spawn speed
+    fall: {
+        update(bug) {
+            bug.y += bug.speed;
+        }
+    },
+
+    // Security Bugs weave side to side while descending
+    zigzag: {
+        onSpawn(bug, params, game) {
+            bug.originX = bug.x;
+            bug.phase = game.rng.next() * Math.PI * 2;
+        },
+        update(bug, params, game) {
+            bug.y += bug.speed;
+
+            const offset = Math.sin(bug.phase + bug.age * params.frequency) * params.amplitude;
+            bug.x = Math.max(0, Math.min(game.gameWidth - bug.width, bug.originX + offset));
+        }
+    },
+
+    // Embedded Secrets fade in and out; while phased out shots pass straight through them
+    phase: {
+        onSpawn(bug, params, game) {
+            bug.phase = game.rng.next() * Math.PI * 2;
+            bug.opacity = 1;
+            bug.intangible = false;
+        },
+        update(bug, params) {
+            bug.y += bug.speed;
+
+            const wave = (Math.sin(bug.phase + bug.age * params.frequency) + 1) / 2; // 0..1
+            bug.opacity = params.minOpacity + (1 - params.minOpacity) * wave;
+            bug.intangible = wave < params.hiddenBelow;
+        }
+    },
+
+    // Functional Errors pick up speed the further down the pipeline they get
+    accelerate: {
+        onSpawn(bug) {
+            bug.baseSpeed = bug.speed;
+        },
+        update(bug, params, game) {
+            const depth = Math.max(0, bug.y) / game.gameHeight;
+            bug.speed = bug.baseSpeed * (1 + params.acceleration * depth);
+            bug.y += bug.speed;
+        }
+    },
+
+    // Quality Bugs split into two smaller bugs that drift apart when shot
+    split: {
+        onSpawn(bug) {
+            bug.generation = bug.generation || 0;
+            bug.driftX = bug.driftX || 0;
+        },
+        update(bug, params, game) {
+            bug.y += bug.speed;
+            bug.x = Math.max(0, Math.min(game.gameWidth - bug.width, bug.x + bug.driftX));
+        },
+        onKilled(bug, params, game) {
+            if (bug.generation >= params.maxGenerations) return;
+
+            const size = Math.round(bug.width * params.childScale);
+            [-1, 1].forEach(direction => {
+                game.addBug({
+                    type: bug.type,
+                    x: bug.x + bug.width / 2 - size / 2 + direction * size / 2,
+                    y: bug.y,
+                    size: size,
+                    speed: bug.speed,
+                    generation: bug.generation + 1,
+                    driftX: direction * params.childDrift
+                });
+            });
+        }
+    }
+};
+
+// Make the behaviour table available globally (browser) and as a CommonJS module (Node)
+if (typeof window !== 'undefined') {
+    window.BUG_BEHAVIORS = BUG_BEHAVIORS;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BUG_BEHAVIORS;
+}
\ No newline at end of file
@@ -0,0 +1,163 @@
+/**
+ * Pipeline Defender - Bug Type Registry
+ * Single source of truth for every bug class and the pipeline power-up that counters it
+ *
+ * The game, renderer, HUD, instructions and stats screens are all generated from this list,
+ * so adding a bug class is one new entry here (plus its sprite in /images/).
+ *
+ * name        - display name, also the key used in bugStats and level bugMix
+ * key         - short id used for DOM ids and image keys
+ * sprite      - image path (a coloured box with the first letter is drawn if it fails to load)
+ * color       - fallback fill and glow colour
+ * speed       - multiplier on the level's bug speed curve
+ * points      - score for shooting one
+ * spawnWeight - spawn weight when a level's bugMix doesn't mention this type
+ * severity    - pipeline integrity lost when one escapes past the bottom
+ * statLabel   - label on the game-over stats table
+ * blurb       - educational description shown on the mission briefing
+ * behavior    - movement behaviour from BUG_BEHAVIORS (`type`) plus its tuning parameters
+ * killSound   - chiptune blip when one is shot: oscillator `wave` stepping through `notes`
+ *               (MIDI note numbers) every `step` seconds
+ * powerUp     - the pipeline stage that counters this bug; its `ability` (from POWER_UP_ABILITIES,
+ *               plus duration, stacking and tuning parameters) is granted when it's collected
+ */
+
+const BUG_TYPE_DEFINITIONS = [
+    {
+        name: 'Functional Errors',
+        key: 'functional',
+        sprite: 'images/functional-bug.png',
+        color: '#FF4444',
+        speed: 1.0,
+        points: 10,
+        spawnWeight: 1,
+        severity: 10,
+        statLabel: 'Functional Bugs',
+        blurb: 'Logic mistakes that make code do the wrong thing. Automated tests in the pipeline catch them before users do.',
+        behavior: { type: 'accelerate', acceleration: 1.5 },
+        killSound: { wave: 'square', notes: [84, 79, 72], step: 0.04 },
+        powerUp: {
+            type: 'TEST',
+            name: 'Automated Testing',
+            icon: '🧪',
+            color: '#00ff41',
+            background: 'rgba(0, 255, 65, 0.3)',
+            ability: { type: 'spreadShot', name: 'Spread Shot', duration: 8, stacking: 'extend', maxDuration: 16, spread: 1.5 }
+        }
+    },
+    {
+        name: 'Embedded Secrets',
+        key: 'secrets',
+        sprite: 'images/embedded-secret-bug.png',
+        color: '#FF44FF',
+        speed: 1.0,
+        points: 10,
+        spawnWeight: 1,
+        severity: 15,
+        statLabel: 'Secret Leaks',
+        blurb: 'API keys and passwords committed to the repo. Secret detection flags them before they leak.',
+        behavior: { type: 'phase', frequency: 0.05, minOpacity: 0.1, hiddenBelow: 0.25 },
+        killSound: { wave: 'triangle', notes: [88, 91, 88, 96], step: 0.035 },
+        powerUp: {
+            type: 'CSM',
+            name: 'Credentials & Secrets Manager',
+            icon: '🔐',
+            color: '#ff6600',
+            background: 'rgba(255, 102, 0, 0.3)',
+            ability: { type: 'reveal', name: 'Reveal Secrets', duration: 10, stacking: 'extend', maxDuration: 20 }
+        }
+    },
+    {
+        name: 'Security Bugs',
+        key: 'security',
+        sprite: 'images/security-bug.png',
+        color: '#444444',
+        speed: 1.0,
+        points: 10,
+        spawnWeight: 1,
+        severity: 20,
+        statLabel: 'Security Bugs',
+        blurb: 'Vulnerabilities such as injection and XSS. Security scanners check every merge request for them.',
+        behavior: { type: 'zigzag', amplitude: 60, frequency: 0.06 },
+        killSound: { wave: 'sawtooth', notes: [55, 50, 43], step: 0.05 },
+        powerUp: {
+            type: 'SEC',
+            name: 'Security Scanner',
+            icon: '🛡️',
+            color: '#4169e1',
+            background: 'rgba(65, 105, 225, 0.3)',
+            ability: { type: 'shield', name: 'Firewall', duration: 15, stacking: 'refresh', charges: 1, maxCharges: 3 }
+        }
+    },
+    {
+        name: 'Quality Bugs',
+        key: 'quality',
+        sprite: 'images/code-quality-bug.png',
+        color: '#FFFF44',
+        speed: 1.0,
+        points: 10,
+        spawnWeight: 1,
+        severity: 5,
+        statLabel: 'Quality Bugs',
+        blurb: 'Code smells, duplication and complexity that slow teams down. Quality checks keep them out of main.',
+        behavior: { type: 'split', maxGenerations: 1, childScale: 0.6, childDrift: 0.8 },
+        killSound: { wave: 'square', notes: [76, 81], step: 0.05 },
+        powerUp: {
+            type: 'QUAL',
+            name: 'Quality Check',
+            icon: '✅',
+            color: '#ffff00',
+            background: 'rgba(255, 255, 0, 0.3)',
+            ability: { type: 'slowBugs', name: 'Slow Bugs', duration: 6, stacking: 'refresh', factor: 0.5 }
+        }
+    }
+];
+
+class BugTypeRegistry {
+    constructor(definitions) {
+        this.types = definitions;
+        this.byName = new Map(definitions.map(type => [type.name, type]));
+        this.byPowerUp = new Map(definitions.map(type => [type.powerUp.type, type]));
+    }
+
+    all() {
+        return this.types;
+    }
+
+    get(name) {
+        return this.byName.get(name) || null;
+    }
+
+    getByPowerUp(powerUpType) {
+        return this.byPowerUp.get(powerUpType) || null;
+    }
+
+    names() {
+        return this.types.map(type => type.name);
+    }
+
+    powerUpTypes() {
+        return this.types.map(type => type.powerUp.type);
+    }
+
+    // { bugName: powerUpType }
+    powerUpMap() {
+        return Object.fromEntries(this.types.map(type => [type.name, type.powerUp.type]));
+    }
+
+    // Zeroed kill counters keyed by bug name
+    createStats() {
+        return Object.fromEntries(this.types.map(type => [type.name, 0]));
+    }
+}
+
+const BUG_TYPES = new BugTypeRegistry(BUG_TYPE_DEFINITIONS);
+
+// Make the registry available globally (browser) and as a CommonJS module (Node)
+if (typeof window !== 'undefined') {
+    window.BugTypeRegistry = BugTypeRegistry;
+    window.BUG_TYPES = BUG_TYPES;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BugTypeRegistry, BUG_TYPES, BUG_TYPE_DEFINITIONS };
+}
\ No newline at end of file
@@ -4,12 +4,27 @@
  */
 
 class CanvasDisplayManager {
-    constructor() {
+    constructor(bugTypes = BUG_TYPES) {
+        this.bugTypes = bugTypes; // Sprites, colours and HUD items come from the registry
         this.canvas = null;
         this.ctx = null;
         this.images = {};
         this.gameWidth = 1136;
         this.gameHeight = 626;
+
+        // Player-switchable effects (settings screen)
+        this.effects = {
+            screenShake: true,
+            flashes: true
+        };
+
+        // Short-lived effects are pooled and removed in place while rendering
+        this.explosions = [];
+        this.powerUpEffects = [];
+        this.scorePopups = [];
+        this.explosionPool = new EntityPool();
+        this.powerUpEffectPool = new EntityPool();
+        this.scorePopupPool = new EntityPool();
     }
 
     async init() {
@@ -31,6 +46,8 @@ class CanvasDisplayManager {
 
         console.error('Canvas display initialized:', this.gameWidth, 'x', this.gameHeight);
 
+        this.buildPipelineStatus();
+
         // Load images - will work when served via HTTP server
         await this.loadImages();
         console.error('Canvas: Images loaded:', Object.keys(this.images));
@@ -38,12 +55,11 @@ class CanvasDisplayManager {
 
     async loadImages() {
         const imageUrls = {
-            tanuki: 'images/gitlab-tanuki.png',
-            functionalBug: 'images/functional-bug.png',
-            securityBug: 'images/security-bug.png',
-            qualityBug: 'images/code-quality-bug.png',
-            secretsBug: 'images/embedded-secret-bug.png'
+            tanuki: 'images/gitlab-tanuki.png'
         };
+        this.bugTypes.all().forEach(type => {
+            imageUrls[type.key] = type.sprite;
+        });
 
         const loadPromises = Object.entries(imageUrls).map(([key, url]) => {
             return new Promise((resolve) => {
@@ -112,12 +128,27 @@ class CanvasDisplayManager {
         }
     }
 
-    // Draw a projectile - recreate the beautiful CSS original
+    // Draw a projectile in its weapon's sprite style
     drawProjectile(projectile) {
+        switch (projectile.sprite) {
+            case 'beam':
+                this.drawBeamProjectile(projectile);
+                break;
+            case 'orb':
+                this.drawOrbProjectile(projectile);
+                break;
+            default:
+                this.drawBoltProjectile(projectile);
+        }
+    }
+
+    // Standard bolt - recreate the beautiful CSS original
+    drawBoltProjectile(projectile) {
         const time = Date.now() * 0.01;
+        const color = projectile.color || '#00ff41';
 
         // Main projectile body - rounded rectangle like original
-        this.ctx.fillStyle = '#00ff41'; // Primary color
+        this.ctx.fillStyle = color;
         this.ctx.beginPath();
         this.ctx.roundRect(projectile.x, projectile.y, 12, 24, 6);
         this.ctx.fill();
@@ -131,41 +162,84 @@ class CanvasDisplayManager {
 
         // Animated glow effect like original CSS animation
         const glowIntensity = Math.sin(time) * 0.3 + 0.7;
-        this.ctx.shadowColor = '#00ff41';
+        this.ctx.shadowColor = color;
         this.ctx.shadowBlur = 5 + (glowIntensity * 5);
 
         // Trail effect
-        this.ctx.fillStyle = `rgba(0, 255, 65, ${glowIntensity * 0.3})`;
+        this.ctx.globalAlpha = glowIntensity * 0.3;
+        this.ctx.fillStyle = color;
         this.ctx.fillRect(projectile.x - 2, projectile.y + 24, 16, 8);
+        this.ctx.globalAlpha = 1;
 
         // Reset shadow for other objects
         this.ctx.shadowBlur = 0;
     }
 
+    // Linter beam - a long flickering column of light
+    drawBeamProjectile(projectile) {
+        const flicker = Math.sin(Date.now() * 0.05) * 0.2 + 0.8;
+
+        this.ctx.save();
+        this.ctx.shadowColor = projectile.color;
+        this.ctx.shadowBlur = 15;
+        this.ctx.globalAlpha = flicker;
+        this.ctx.fillStyle = projectile.color;
+        this.ctx.fillRect(projectile.x, projectile.y, projectile.width, projectile.height);
+
+        // White-hot core
+        this.ctx.fillStyle = '#FFFFFF';
+        this.ctx.fillRect(projectile.x + projectile.width / 3, projectile.y, projectile.width / 3, projectile.height);
+        this.ctx.restore();
+    }
+
+    // Full pipeline scan - a pulsing orb that grows with the damage it was charged to
+    drawOrbProjectile(projectile) {
+        const pulse = Math.sin(Date.now() * 0.02) * 0.15 + 1;
+        const radius = projectile.width / 2 * pulse;
+        const centerX = projectile.x + projectile.width / 2;
+        const centerY = projectile.y + projectile.height / 2;
+
+        this.ctx.save();
+        this.ctx.shadowColor = projectile.color;
+        this.ctx.shadowBlur = 10 + projectile.damage * 2;
+        this.ctx.fillStyle = projectile.color;
+        this.ctx.beginPath();
+        this.ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+        this.ctx.fill();
+
+        this.ctx.strokeStyle = '#FFFFFF';
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.arc(centerX, centerY, radius * 0.6, 0, Math.PI * 2);
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
+    // Charge meter above the player while a charged weapon is held
+    drawChargeMeter(player, weapon) {
+        const width = player.width;
+        const x = player.x;
+        const y = player.y - 12;
+
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        this.ctx.fillRect(x, y, width, 6);
+        this.ctx.fillStyle = weapon.charge >= 1 ? '#FFFFFF' : weapon.color;
+        this.ctx.shadowColor = weapon.color;
+        this.ctx.shadowBlur = weapon.charge >= 1 ? 10 : 0;
+        this.ctx.fillRect(x, y, width * weapon.charge, 6);
+        this.ctx.restore();
+    }
+
     // Draw a bug using actual images
     drawBug(bug) {
-        let bugImage = null;
-        let fallbackColor = '#FF0000';
-
-        // Map bug types to images
-        switch(bug.type) {
-            case 'Functional Errors':
-                bugImage = this.images.functionalBug;
-                fallbackColor = '#FF4444';
-                break;
-            case 'Security Bugs':
-                bugImage = this.images.securityBug;
-                fallbackColor = '#444444';
-                break;
-            case 'Quality Bugs':
-                bugImage = this.images.qualityBug;
-                fallbackColor = '#FFFF44';
-                break;
-            case 'Embedded Secrets':
-                bugImage = this.images.secretsBug;
-                fallbackColor = '#FF44FF';
-                break;
-        }
+        const bugType = this.bugTypes.get(bug.type);
+        const bugImage = bugType ? this.images[bugType.key] : null;
+        const fallbackColor = bugType ? bugType.color : '#FF0000';
+
+        // Phasing bugs fade in and out
+        this.ctx.save();
+        this.ctx.globalAlpha = bug.opacity !== undefined ? bug.opacity : 1;
 
         if (bugImage) {
             // Draw the actual bug image
@@ -207,6 +281,8 @@ class CanvasDisplayManager {
                 bug.y + 15
             );
         }
+
+        this.ctx.restore();
     }
 
     // Draw a power-up - recreate the beautiful CSS floating and glowing effect
@@ -231,25 +307,13 @@ class CanvasDisplayManager {
         let textColor = '#FFFFFF'; // White icons for better contrast
         let text = 'PWR';
 
-        if (powerUp.type) {
-            switch(powerUp.type) {
-                case 'TEST':
-                    bgColor = 'rgba(0, 255, 65, 0.3)'; // Lower opacity green
-                    text = '🧪';
-                    break;
-                case 'CSM':
-                    bgColor = 'rgba(255, 102, 0, 0.3)'; // Lower opacity orange
-                    text = '🔐';
-                    break;
-                case 'SEC':
-                    bgColor = 'rgba(65, 105, 225, 0.3)'; // Lower opacity blue
-                    text = '🛡️';
-                    break;
-                case 'QUAL':
-                    bgColor = 'rgba(255, 255, 0, 0.3)'; // Lower opacity yellow
-                    text = '✅';
-                    break;
-            }
+        const counteredType = this.bugTypes.getByPowerUp(powerUp.type);
+        if (counteredType) {
+            bgColor = counteredType.powerUp.background; // Lower opacity background
+            text = counteredType.powerUp.icon;
+        } else if (powerUp.weapon && WEAPON_DEFINITIONS[powerUp.weapon]) {
+            bgColor = 'rgba(252, 109, 38, 0.3)'; // Weapon crates are GitLab orange
+            text = WEAPON_DEFINITIONS[powerUp.weapon].icon;
         }
 
         // Save context for scaling
@@ -381,11 +445,11 @@ class CanvasDisplayManager {
         this.ctx.globalAlpha = opacity;
 
         // Colored ring based on power-up type
+        const counteredType = this.bugTypes.getByPowerUp(effect.type);
         let color = '#00ff41';
         if (effect.type === 'SUCCESS') color = '#FFD700';
-        else if (effect.type === 'CSM') color = '#ff6600';
-        else if (effect.type === 'SEC') color = '#4169e1';
-        else if (effect.type === 'QUAL') color = '#ffff00';
+        else if (effect.type === 'WEAPON') color = '#FC6D26';
+        else if (counteredType) color = counteredType.powerUp.color;
 
         this.ctx.strokeStyle = color;
         this.ctx.lineWidth = 4;
@@ -400,6 +464,145 @@ class CanvasDisplayManager {
         return true; // Continue animating
     }
 
+    // Draw a boss - its bug type's sprite scaled up, with the weak point highlighted
+    drawBoss(boss, weakPoint) {
+        const time = Date.now() * 0.005;
+        const bugType = this.bugTypes.get(boss.bugType);
+        const bossImage = bugType ? this.images[bugType.key] : null;
+        const color = bugType ? bugType.color : '#FF0000';
+
+        this.ctx.save();
+        this.ctx.shadowColor = '#ff3333';
+        this.ctx.shadowBlur = 15 + Math.sin(time) * 5;
+
+        if (bossImage) {
+            this.ctx.drawImage(bossImage, boss.x, boss.y, boss.width, boss.height);
+        } else {
+            this.ctx.fillStyle = color;
+            this.ctx.fillRect(boss.x, boss.y, boss.width, boss.height);
+        }
+
+        this.ctx.strokeStyle = '#ff3333';
+        this.ctx.lineWidth = 3;
+        this.ctx.strokeRect(boss.x, boss.y, boss.width, boss.height);
+
+        // Weak point: dim and shielded until its counter power-up exposes it
+        const exposed = boss.exposedTicks > 0;
+        const counteredType = this.bugTypes.getByPowerUp(boss.weakPoint.powerUp);
+        this.ctx.shadowBlur = exposed ? 20 : 0;
+        this.ctx.shadowColor = counteredType ? counteredType.powerUp.color : '#FFD700';
+        this.ctx.strokeStyle = exposed ? this.ctx.shadowColor : 'rgba(255, 255, 255, 0.4)';
+        this.ctx.lineWidth = exposed ? 3 + Math.sin(time * 2) * 1.5 : 2;
+        this.ctx.setLineDash(exposed ? [] : [6, 4]);
+        this.ctx.strokeRect(weakPoint.x, weakPoint.y, weakPoint.width, weakPoint.height);
+
+        if (!exposed && counteredType) {
+            this.ctx.fillStyle = '#FFFFFF';
+            this.ctx.font = 'bold 20px monospace';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText(counteredType.powerUp.icon, weakPoint.x + weakPoint.width / 2, weakPoint.y + weakPoint.height / 2 + 7);
+        }
+
+        this.ctx.restore();
+    }
+
+    // Draw the boss health bar along the top of the canvas
+    drawBossHealthBar(boss) {
+        const barWidth = this.gameWidth * 0.6;
+        const barX = (this.gameWidth - barWidth) / 2;
+        const barY = 12;
+        const healthRatio = boss.health / boss.maxHealth;
+
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        this.ctx.fillRect(barX, barY, barWidth, 16);
+
+        this.ctx.fillStyle = healthRatio > 0.3 ? '#ff3333' : '#FFD700';
+        this.ctx.fillRect(barX, barY, barWidth * healthRatio, 16);
+
+        this.ctx.strokeStyle = '#FFFFFF';
+        this.ctx.lineWidth = 2;
+        this.ctx.strokeRect(barX, barY, barWidth, 16);
+
+        this.ctx.fillStyle = '#FFFFFF';
+        this.ctx.font = 'bold 20px VT323, monospace';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(`${boss.name} ${boss.health}/${boss.maxHealth}`, this.gameWidth / 2, barY + 36);
+        this.ctx.restore();
+    }
+
+    // Draw the combo multiplier, type chain and accuracy in the top-left corner
+    drawComboMeter(scoring) {
+        const pulse = scoring.multiplier > 1 ? Math.sin(Date.now() * 0.01) * 0.2 + 0.8 : 0.6;
+
+        this.ctx.save();
+        this.ctx.textAlign = 'left';
+        this.ctx.shadowColor = '#FC6D26';
+        this.ctx.shadowBlur = scoring.multiplier > 1 ? 10 : 0;
+
+        this.ctx.fillStyle = `rgba(252, 109, 38, ${pulse})`;
+        this.ctx.font = 'bold 32px VT323, monospace';
+        this.ctx.fillText(`x${scoring.multiplier}`, 15, 40);
+
+        this.ctx.shadowBlur = 0;
+        this.ctx.fillStyle = '#66fcf1';
+        this.ctx.font = '20px VT323, monospace';
+        this.ctx.fillText(`COMBO ${scoring.combo}`, 15, 62);
+        this.ctx.fillText(`ACCURACY ${scoring.accuracy}%`, 15, 82);
+
+        if (scoring.typeChain > 1) {
+            const bugType = this.bugTypes.get(scoring.chainType);
+            this.ctx.fillStyle = bugType ? bugType.color : '#FFFFFF';
+            this.ctx.fillText(`CHAIN ${scoring.typeChain}x ${scoring.chainType}`, 15, 102);
+        }
+
+        this.ctx.restore();
+    }
+
+    // Draw the SEC firewall across the bottom of the pipeline - one line per charge
+    drawShield(shield) {
+        const time = Date.now() * 0.005;
+
+        this.ctx.save();
+        this.ctx.strokeStyle = '#4169e1';
+        this.ctx.shadowColor = '#4169e1';
+        this.ctx.shadowBlur = 8 + Math.sin(time) * 4;
+        this.ctx.lineWidth = 2;
+        for (let i = 0; i < shield.charges; i++) {
+            const y = this.gameHeight - 3 - i * 5;
+            this.ctx.beginPath();
+            this.ctx.moveTo(0, y);
+            this.ctx.lineTo(this.gameWidth, y);
+            this.ctx.stroke();
+        }
+        this.ctx.restore();
+    }
+
+    // Draw the "stage cleared" banner shown between levels
+    drawStageBanner(intermission) {
+        const centerX = this.gameWidth / 2;
+        const centerY = this.gameHeight / 2;
+
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        this.ctx.fillRect(0, centerY - 70, this.gameWidth, 140);
+
+        this.ctx.textAlign = 'center';
+        this.ctx.shadowBlur = 10;
+
+        this.ctx.fillStyle = '#00ff41';
+        this.ctx.shadowColor = '#00ff41';
+        this.ctx.font = 'bold 48px VT323, monospace';
+        this.ctx.fillText(`STAGE ${intermission.clearedLevel} CLEARED: ${intermission.clearedName}`, centerX, centerY - 5);
+
+        this.ctx.fillStyle = '#FC6D26'; // GitLab orange
+        this.ctx.shadowColor = '#FC6D26';
+        this.ctx.font = 'bold 28px VT323, monospace';
+        this.ctx.fillText(`NEXT: ${intermission.nextName}`, centerX, centerY + 40);
+
+        this.ctx.restore();
+    }
+
     // Apply screen shake effect
     applyScreenShake() {
         if (!this.screenShake) return;
@@ -453,6 +656,10 @@ class CanvasDisplayManager {
         // Draw all game objects
         if (gameState.player) {
             this.drawPlayer(gameState.player);
+
+            if (gameState.weapon && gameState.weapon.charge > 0) {
+                this.drawChargeMeter(gameState.player, gameState.weapon);
+            }
         }
 
         if (gameState.projectiles) {
@@ -473,35 +680,51 @@ class CanvasDisplayManager {
             });
         }
 
-        // Draw explosions
-        if (this.explosions) {
-            this.explosions = this.explosions.filter(explosion => {
-                return this.drawExplosion(explosion);
-            });
+        if (gameState.boss) {
+            this.drawBoss(gameState.boss, gameState.bossWeakPoint);
         }
 
-        // Draw power-up effects
-        if (this.powerUpEffects) {
-            this.powerUpEffects = this.powerUpEffects.filter(effect => {
-                return this.drawPowerUpEffect(effect);
-            });
+        if (gameState.abilities && gameState.abilities.shield) {
+            this.drawShield(gameState.abilities.shield);
         }
 
-        // Draw score popups
-        if (this.scorePopups) {
-            this.scorePopups = this.scorePopups.filter(popup => {
-                return this.drawScorePopup(popup);
-            });
-        }
+        // Draw explosions, power-up effects and score popups, recycling the finished ones
+        this.drawEffects(this.explosions, this.explosionPool, this.drawExplosion);
+        this.drawEffects(this.powerUpEffects, this.powerUpEffectPool, this.drawPowerUpEffect);
+        this.drawEffects(this.scorePopups, this.scorePopupPool, this.drawScorePopup);
 
         // Restore transform after screen shake
         this.ctx.restore();
 
+        // HUD overlays stay steady during screen shake
+        if (gameState.scoring) {
+            this.drawComboMeter(gameState.scoring);
+        }
+
+        if (gameState.boss) {
+            this.drawBossHealthBar(gameState.boss);
+        }
+
+        // Stage cleared banner between levels
+        if (gameState.intermission) {
+            this.drawStageBanner(gameState.intermission);
+        }
+
         // Apply warning flash overlay (after restoring transform)
         this.applyWarningFlash();
     }
 
 
+    // Draw each effect; draw returns false once an effect has finished and it goes back to its pool
+    drawEffects(effects, pool, draw) {
+        for (let i = effects.length - 1; i >= 0; i--) {
+            if (!draw.call(this, effects[i])) {
+                pool.removeAt(effects, i);
+            }
+        }
+        pool.flush();
+    }
+
     // Legacy methods for compatibility (will be no-ops or simple implementations)
     updatePlayer() { /* Canvas renders everything in render() */ }
     createProjectile() { /* Canvas renders everything in render() */ }
@@ -517,53 +740,50 @@ class CanvasDisplayManager {
     createExplosion(x, y) {
         // For canvas, we'll handle explosions in the render loop
         // Store explosion data for rendering
-        if (!this.explosions) {
-            this.explosions = [];
-        }
-
-        this.explosions.push({
+        this.explosions.push(this.explosionPool.acquire({
             x: x,
             y: y,
             startTime: Date.now(),
             duration: 500 // milliseconds
-        });
+        }));
 
     }
 
     createScorePopup(x, y, score, isBig = false) {
         // For canvas, we'll handle score popups in the render loop
-        if (!this.scorePopups) {
-            this.scorePopups = [];
-        }
-
-        this.scorePopups.push({
+        this.scorePopups.push(this.scorePopupPool.acquire({
             x: x,
             y: y,
             score: score,
             startTime: Date.now(),
             duration: 1500, // milliseconds like CSS animation
             isBig: isBig
-        });
+        }));
 
     }
 
     createPowerUpEffect(x, y, type) {
         // Create a special effect for power-up collection
-        if (!this.powerUpEffects) {
-            this.powerUpEffects = [];
-        }
-
-        this.powerUpEffects.push({
+        this.powerUpEffects.push(this.powerUpEffectPool.acquire({
             x: x,
             y: y,
             type: type,
             startTime: Date.now(),
             duration: 1000 // milliseconds
-        });
+        }));
 
     }
 
+    // Turn screen shake and warning flashes on or off - e.g. for players sensitive to motion or flashing
+    setEffects(effects) {
+        Object.assign(this.effects, effects);
+        if (!this.effects.screenShake) this.screenShake = null;
+        if (!this.effects.flashes) this.warningFlash = null;
+    }
+
     flashWarning() {
+        if (!this.effects.flashes) return;
+
         // Create a warning flash effect
         this.warningFlash = {
             startTime: Date.now(),
@@ -573,6 +793,8 @@ class CanvasDisplayManager {
     }
 
     shakeScreen(intensity, duration) {
+        if (!this.effects.screenShake) return;
+
         // Create a screen shake effect
         this.screenShake = {
             intensity: intensity || 2,
@@ -600,27 +822,71 @@ class CanvasDisplayManager {
         }
     }
 
+    updateLevel(level) {
+        const levelElement = document.getElementById('level-display');
+        if (levelElement) {
+            levelElement.textContent = level;
+        }
+    }
+
+    // Held weapon and its level
+    updateWeapon(weapon, level) {
+        const weaponElement = document.getElementById('weapon-display');
+        if (weaponElement) {
+            weaponElement.textContent = `${weapon.icon} ${weapon.name}${level > 1 ? ` L${level}` : ''}`;
+        }
+    }
+
+    // Pipeline integrity meter - fill width tracks the remaining percentage
+    updateIntegrity(integrity, maxIntegrity) {
+        const percent = Math.round((integrity / maxIntegrity) * 100);
+        const fillElement = document.getElementById('integrity-fill');
+        const valueElement = document.getElementById('integrity-display');
+
+        if (fillElement) {
+            fillElement.style.width = `${percent}%`;
+            fillElement.classList.toggle('warning', percent <= 50 && percent > 25);
+            fillElement.classList.toggle('critical', percent <= 25);
+        }
+        if (valueElement) {
+            valueElement.textContent = `${percent}%`;
+        }
+    }
+
     ensureHUDVisible() {
         // No-op for canvas implementation
     }
 
+    // Generate one HUD pipeline item per power-up in the registry
+    buildPipelineStatus() {
+        const container = document.querySelector('#game-hud .pipeline-items');
+        if (!container) return;
+
+        container.querySelectorAll('.pipeline-item').forEach(item => item.remove());
+
+        this.bugTypes.all().forEach(type => {
+            const item = document.createElement('div');
+            item.id = `pipeline-${type.powerUp.type.toLowerCase()}`;
+            item.className = 'pipeline-item';
+            item.title = `${type.powerUp.name} - counters ${type.name}`;
+            if (type.powerUp.ability) {
+                item.title += `\nGrants ${type.powerUp.ability.name} for ${type.powerUp.ability.duration}s`;
+            }
+            item.innerHTML = `
+                <span class="pipeline-icon">${type.powerUp.icon}</span>
+                <span>${type.powerUp.type}</span>
+                <span class="pipeline-timer"></span>
+            `;
+            container.appendChild(item);
+        });
+    }
+
     updatePipelineStatus(collectedPowerUps) {
         // Update the pipeline status indicators in the DOM HUD
-        const pipelineItems = ['test', 'csm', 'sec', 'qual'];
-        const powerUpMapping = {
-            'TEST': 'test',
-            'CSM': 'csm',
-            'SEC': 'sec',
-            'QUAL': 'qual'
-        };
-
-        pipelineItems.forEach(item => {
-            const element = document.getElementById(`pipeline-${item}`);
+        this.bugTypes.powerUpTypes().forEach(powerUpType => {
+            const element = document.getElementById(`pipeline-${powerUpType.toLowerCase()}`);
             if (element) {
-                const powerUpName = Object.keys(powerUpMapping).find(key => powerUpMapping[key] === item);
-                const isCollected = collectedPowerUps.includes(powerUpName);
-
-                if (isCollected) {
+                if (collectedPowerUps.includes(powerUpType)) {
                     element.classList.add('collected');
                 } else {
                     element.classList.remove('collected');
@@ -629,6 +895,18 @@ class CanvasDisplayManager {
         });
     }
 
+    // Countdown (and remaining charges) of a power-up's ability on its HUD pipeline item
+    updateAbilityTimer(powerUpType, secondsLeft, charges) {
+        const element = document.getElementById(`pipeline-${powerUpType.toLowerCase()}`);
+        if (!element) return;
+
+        const timer = element.querySelector('.pipeline-timer');
+        element.classList.toggle('ability-active', secondsLeft > 0);
+        if (timer) {
+            timer.textContent = secondsLeft > 0 ? `${secondsLeft}s${charges ? ` x${charges}` : ''}` : '';
+        }
+    }
+
     // Canvas dimensions method
     getCanvasDimensions() {
         return {
@@ -0,0 +1,78 @@
+/**
+ * Pipeline Defender - Difficulty Presets
+ * Tuning applied to the game config at the start of each run - every preset moves the whole
+ * simulation together, and leaderboard scores are only ranked against the same preset
+ *
+ * label  - shown in the settings screen, on results and on the leaderboard
+ * blurb  - one-line description for the settings screen
+ * config - values merged into PipelineDefenderGame.config; every preset sets the same keys
+ *          so switching presets never leaves another preset's tuning behind
+ *   spawnRateScale       - multiplies the level's bug spawn chance per tick
+ *   bugSpeedScale        - multiplies the level's bug speed curve
+ *   levelTimeScale       - multiplies how long each stage lasts
+ *   escapeDamageScale    - multiplies the integrity an escaped bug costs (its severity)
+ *   powerUpIntervalScale - multiplies the seconds between power-up drops
+ *   fireIntervalScale    - multiplies every weapon's time between shots
+ */
+
+const DEFAULT_DIFFICULTY = 'engineer';
+
+const DIFFICULTY_PRESETS = {
+    intern: {
+        label: 'INTERN',
+        blurb: 'Fewer, slower bugs, shorter stages and a forgiving pipeline',
+        config: {
+            spawnRateScale: 0.6,
+            bugSpeedScale: 0.75,
+            levelTimeScale: 0.75,
+            escapeDamageScale: 0.5,
+            powerUpIntervalScale: 0.7,
+            fireIntervalScale: 0.8
+        }
+    },
+    engineer: {
+        label: 'ENGINEER',
+        blurb: 'The standard pipeline',
+        config: {
+            spawnRateScale: 1,
+            bugSpeedScale: 1,
+            levelTimeScale: 1,
+            escapeDamageScale: 1,
+            powerUpIntervalScale: 1,
+            fireIntervalScale: 1
+        }
+    },
+    sre: {
+        label: 'SRE',
+        blurb: 'Busier, faster stages where escapes hurt more',
+        config: {
+            spawnRateScale: 1.3,
+            bugSpeedScale: 1.2,
+            levelTimeScale: 1.15,
+            escapeDamageScale: 1.5,
+            powerUpIntervalScale: 1.25,
+            fireIntervalScale: 1.1
+        }
+    },
+    'incident-commander': {
+        label: 'INCIDENT COMMANDER',
+        blurb: 'Everything is on fire - long stages, rare power-ups, double escape damage',
+        config: {
+            spawnRateScale: 1.6,
+            bugSpeedScale: 1.4,
+            levelTimeScale: 1.3,
+            escapeDamageScale: 2,
+            powerUpIntervalScale: 1.5,
+            fireIntervalScale: 1.25
+        }
+    }
+};
+
+// Make the presets available globally (browser) and as a CommonJS module (Node)
+if (typeof window !== 'undefined') {
+    window.DIFFICULTY_PRESETS = DIFFICULTY_PRESETS;
+    window.DEFAULT_DIFFICULTY = DEFAULT_DIFFICULTY;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DIFFICULTY_PRESETS, DEFAULT_DIFFICULTY };
+}
\ No newline at end of file
@@ -0,0 +1,99 @@
+/**
+ * Pipeline Defender - Entity Pool
+ * Recycles projectile, bug, power-up and effect objects so long or dense sessions don't keep
+ * handing the garbage collector objects that lived just long enough to be promoted
+ *
+ * Released objects are only reused after flush(), so code that still holds a reference for the
+ * rest of the tick (kill hooks, collision candidates) sees intact data. Removal swaps the last
+ * element into the gap instead of splicing - iterate lists backwards when removing while looping.
+ * Objects put in a list with add() remember their position, so indexOf() doesn't scan the list.
+ */
+
+class EntityPool {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.enabled] - false allocates fresh objects and splices, for benchmarking
+     */
+    constructor(options = {}) {
+        this.enabled = options.enabled !== false;
+        this.free = [];
+        this.released = [];
+        this.created = 0; // objects allocated over the pool's lifetime
+    }
+
+    // A recycled (or new) object filled in with props
+    acquire(props) {
+        let entity = this.enabled ? this.free.pop() : undefined;
+        if (!entity) {
+            entity = {};
+            this.created++;
+        }
+        return Object.assign(entity, props);
+    }
+
+    // Append an entity to a live list, recording its position for indexOf()
+    add(list, entity) {
+        entity.listIndex = list.length;
+        list.push(entity);
+        return entity;
+    }
+
+    // Position of an entity added with add(), or -1 once it has been removed - without scanning the list
+    indexOf(list, entity) {
+        const index = entity.listIndex;
+        return index !== undefined && list[index] === entity ? index : -1;
+    }
+
+    release(entity) {
+        if (this.enabled) {
+            this.released.push(entity);
+        }
+    }
+
+    // Remove list[index] and release it; returns the removed object
+    removeAt(list, index) {
+        let entity;
+        if (this.enabled) {
+            entity = list[index];
+            const last = list.pop();
+            if (index < list.length) {
+                list[index] = last;
+                last.listIndex = index;
+            }
+        } else {
+            entity = list.splice(index, 1)[0];
+            for (let i = index; i < list.length; i++) {
+                list[i].listIndex = i;
+            }
+        }
+
+        this.release(entity);
+        return entity;
+    }
+
+    // Release everything in a list and empty it
+    releaseAll(list) {
+        list.forEach(entity => this.release(entity));
+        list.length = 0;
+    }
+
+    // Make released objects available for reuse, wiping their fields (keeping the same keys keeps shapes stable)
+    flush() {
+        for (let i = 0; i < this.released.length; i++) {
+            const entity = this.released[i];
+            for (const key in entity) {
+                entity[key] = undefined;
+            }
+            this.free.push(entity);
+        }
+        this.released.length = 0;
+    }
+}
+
+// Make EntityPool available globally (browser) and as a CommonJS module (Node)
+if (typeof window !== 'undefined') {
+    window.EntityPool = EntityPool;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EntityPool;
+}
\ No newline at end of file
@@ -1,75 +1,244 @@
 /**
  * Pipeline Defender - Core Game Logic
  * Handles game state, mechanics, and coordination between all systems
+ *
+ * The simulation never touches window directly: the renderer, input source and
+ * event sink are injected (defaulting to window.display, window.input and the
+ * screen manager), so the same rules run headless in Node.
  */
 
+// Sibling modules the simulation uses. In the browser their <script> tags put them on window;
+// Node has no <script> tags, so require them - into this object rather than onto globalThis
+const GAME_MODULES = typeof module !== 'undefined' && module.exports ? {
+    SeededRandom: require('./rng.js'),
+    ...require('./replay.js'),
+    PIPELINE_LEVELS: require('./levels.js'),
+    ...require('./bug-types.js'),
+    BUG_BEHAVIORS: require('./bug-behaviors.js'),
+    ...require('./bosses.js'),
+    POWER_UP_ABILITIES: require('./abilities.js'),
+    SpatialHash: require('./spatial-hash.js'),
+    EntityPool: require('./entity-pool.js'),
+    ...require('./weapons.js'),
+    ...require('./difficulty.js')
+} : window;
+
+// Haptic patterns (ms on/off) played on touch devices for simulation events
+const EVENT_VIBRATIONS = {
+    bugEscaped: [60, 40, 60],
+    powerUpCollected: [20, 30, 20],
+    bossDefeated: [100, 50, 100, 50, 200],
+    gameOver: [250]
+};
+
+// Saved-run format - bump it whenever the snapshot layout changes, so older saves are discarded instead of loaded
+const SNAPSHOT_VERSION = 1;
+
+// Run state copied into and out of snapshots as-is (entities, collections and the RNG are handled separately)
+const SNAPSHOT_FIELDS = [
+    'tickCount', 'score', 'timeLeft', 'levelIndex', 'levelTicks', 'intermissionTicks', 'levelsCleared',
+    'combo', 'peakCombo', 'typeChain', 'chainType', 'shotsFired', 'shotsHit', 'levelShotsFired', 'levelShotsHit',
+    'accuracyBonusTotal', 'bugsEscaped', 'integrity', 'weaponTimer', 'weaponsCollected',
+    'powerUpTimer', 'powerUpInterval', 'currentPowerUpIndex',
+    'nextProjectileId', 'nextBugId', 'nextPowerUpId', 'nextVolleyId', 'pendingShot'
+];
+
+// Default event sink - forwards simulation events to the browser screens, sound and saved run
+const BrowserEventSink = {
+    emit(type, payload) {
+        if (typeof window === 'undefined' || !window.screens) return;
+
+        if (window.audio) {
+            window.audio.handleEvent(type, payload);
+        }
+
+        if (window.savedRun) {
+            window.savedRun.handleEvent(type, payload);
+        }
+
+        if (EVENT_VIBRATIONS[type] && window.input && window.input.vibrate) {
+            window.input.vibrate(EVENT_VIBRATIONS[type]);
+        }
+
+        // Screen managers without a pause menu (the simple.html demo's) only get endGame
+        const hasPauseMenu = typeof window.screens.showPauseMenu === 'function' &&
+            typeof window.screens.hidePauseMenu === 'function';
+
+        switch (type) {
+            case 'gamePaused':
+                if (hasPauseMenu) {
+                    window.screens.showPauseMenu();
+                }
+                break;
+            case 'gameStart':
+            case 'gameResumed':
+            case 'gameQuit':
+                if (hasPauseMenu) {
+                    window.screens.hidePauseMenu();
+                }
+                break;
+            case 'gameOver':
+                if (hasPauseMenu) {
+                    window.screens.hidePauseMenu();
+                }
+                window.screens.endGame(payload);
+                break;
+        }
+    }
+};
+
 class PipelineDefenderGame {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {Object|null} [options.renderer] - Display manager (defaults to window.display)
+     * @param {Object|null} [options.input] - Input source with getMovementDirection() (defaults to window.input)
+     * @param {{emit: Function}} [options.events] - Event sink receiving simulation events
+     * @param {boolean} [options.headless] - Don't schedule frames or timers; the caller drives step()/tickTimer()
+     * @param {number} [options.width] - Game width used when no renderer provides dimensions
+     * @param {number} [options.height] - Game height used when no renderer provides dimensions
+     * @param {Object[]} [options.levels] - Level definitions to play (defaults to PIPELINE_LEVELS)
+     * @param {BugTypeRegistry} [options.bugTypes] - Bug classes in play (defaults to BUG_TYPES)
+     * @param {boolean} [options.pooling] - Recycle entity objects (default true; turning it off is for benchmarks)
+     */
+    constructor(options = {}) {
+        const env = typeof window !== 'undefined' ? window : {};
+
+        // Injected collaborators
+        this.renderer = options.renderer !== undefined ? options.renderer : (env.display || null);
+        this.input = options.input !== undefined ? options.input : (env.input || null);
+        this.events = options.events || BrowserEventSink;
+        this.headless = !!options.headless;
+        this.defaultWidth = options.width || 800;
+        this.defaultHeight = options.height || 600;
+        this.levels = options.levels || GAME_MODULES.PIPELINE_LEVELS;
+        this.bugTypeRegistry = options.bugTypes || GAME_MODULES.BUG_TYPES;
+
         this.gameState = 'menu'; // menu, playing, paused, gameover
         this.isRunning = false;
         this.isPaused = false;
-        this.frameCounter = 0;
+        this.tickCount = 0; // simulation ticks since the run started
 
         // Game configuration
+        // Speeds and spawn rates are per simulation tick, not per rendered frame
         this.config = {
-            gameTime: 60, // seconds - survival time for score-based gameplay
+            tickRate: 60, // fixed simulation ticks per second
+            maxFrameTime: 250, // ms - clamp long frames (tab switches) so we don't spiral
+            intermissionTime: 3, // seconds of "stage cleared" between levels
+            bossExposeTime: 8, // seconds a boss weak point stays exposed after collecting its counter power-up
+            maxIntegrity: 100, // pipeline integrity at the start of a run - escaped bugs drain it by their severity
+            // Difficulty multipliers - set from DIFFICULTY_PRESETS at the start of each run
+            spawnRateScale: 1, // bug spawn chance
+            bugSpeedScale: 1, // bug speed
+            levelTimeScale: 1, // stage length
+            escapeDamageScale: 1, // integrity lost per escape
+            powerUpIntervalScale: 1, // time between power-ups
+            fireIntervalScale: 1, // time between shots
+            comboStep: 5, // consecutive hits needed per multiplier step
+            maxMultiplier: 5,
+            typeChainMin: 3, // same-type kills in a row before the chain bonus kicks in
+            typeChainBonus: 5, // extra points per kill for each link past typeChainMin - 1
+            accuracyBonus: 500, // points for a perfectly accurate level, scaled by the level's hit rate
+            accuracyMinShots: 10, // shots a level needs before it earns an accuracy bonus
             playerSpeed: 6,
             projectileSpeed: 6,
-            bugSpeed: 1.0,
+            bugSpeed: 1.0, // fallback when a level has no speed curve
             powerUpSpeed: 0.6,
             playerSize: 50,
             projectileSize: 3, // Decreased from 4 - smaller projectiles for more challenging aim
             bugSize: 45, // Increased from 40 - slightly larger bugs for better visibility
             powerUpSize: 55,
-            spawnRate: 0.03, // probability per frame (increased)
-            powerUpSpawnRate: 0.008 // increased spawn rate
+            spawnRate: 0.03, // probability per tick - fallback when a level doesn't set one
+            powerUpSpawnRate: 0.008, // increased spawn rate
+            weaponDropInterval: 15, // seconds between weapon pickups (from the level's weaponDrops)
+            weaponPickupSize: 45,
+            collisionCellSize: 64 // broadphase grid cell size in pixels
         };
 
+        // Difficulty preset for new runs (the one in effect for the current run is runDifficulty)
+        this.difficulty = GAME_MODULES.DEFAULT_DIFFICULTY;
+        this.runDifficulty = GAME_MODULES.DEFAULT_DIFFICULTY;
+
         // Game objects
         this.player = null;
         this.projectiles = [];
         this.bugs = [];
         this.powerUps = [];
+        this.boss = null; // active boss encounter, if any
+
+        // Entity pools - removed objects are recycled at the end of each tick
+        const pooling = options.pooling !== false;
+        this.projectilePool = new GAME_MODULES.EntityPool({ enabled: pooling });
+        this.bugPool = new GAME_MODULES.EntityPool({ enabled: pooling });
+        this.powerUpPool = new GAME_MODULES.EntityPool({ enabled: pooling });
+        this.behaviorCache = new Map(); // bug type -> { behavior, params }
+        this.abilityCache = new Map(); // power-up type -> { ability, params }
+
+        // Collision broadphase - rebuilt from scratch every tick
+        this.bugGrid = new GAME_MODULES.SpatialHash(this.config.collisionCellSize);
+        this.powerUpGrid = new GAME_MODULES.SpatialHash(this.config.collisionCellSize);
+        this.collisionCandidates = []; // scratch space reused by every broadphase query
+        this.sweptBounds = { x: 0, y: 0, width: 0, height: 0 };
 
         // Game state
         this.score = 0;
-        this.timeLeft = this.config.gameTime;
+        this.resetScoring();
+        this.timeLeft = 0; // seconds left in the current level
         this.gameStartTime = 0;
+        this.seed = null;
+        this.rng = new GAME_MODULES.SeededRandom(); // Owns every random decision in the simulation
+
+        // Level progression
+        this.levelIndex = 0;
+        this.levelTicks = 0; // ticks played in the current level
+        this.intermissionTicks = 0; // > 0 while the "stage cleared" intermission runs
+        this.levelsCleared = 0;
+        this.bossesDefeated = []; // { name, level, fightTime } per boss kill
+
+        // Input recording / replay
+        this.pendingShot = false; // shots are applied on the next tick so recordings replay exactly
+        this.recorder = null;
+        this.replay = null;
+
         this.collectedPowerUps = []; // All power-ups collected (allows duplicates)
         this.uniquePowerUps = new Set(); // Unique power-ups for pipeline status display
-        this.bugStats = {
-            'Functional Errors': 0,
-            'Security Bugs': 0,
-            'Quality Bugs': 0,
-            'Embedded Secrets': 0
-        };
+        this.bugStats = this.bugTypeRegistry.createStats();
+        this.activeAbilities = {}; // ability type -> { powerUpType, ticksLeft, charges } while it runs
 
         // Bug escape tracking for penalty system
         this.bugsEscaped = 0;
+        this.integrity = this.config.maxIntegrity;
+        this.integrityDamage = this.bugTypeRegistry.createStats(); // integrity lost per bug type
+
+        // Weapon state - fire rate, charge and level live here rather than in the input handler
+        this.weapon = null; // { id, level, cooldown, charge } - see equipWeapon()
+        this.weaponTimer = 0; // ticks since the last weapon pickup dropped
+        this.weaponsCollected = 0;
 
         // Issue #12: Power-up frequency control (1 every 10 seconds with type cycling)
-        this.powerUpTimer = 0;
+        this.powerUpTimer = 0; // ticks since the last power-up
         this.powerUpInterval = 10; // seconds between power-ups
         this.currentPowerUpIndex = 0; // for cycling through power-up types
 
-        // Game loop
+        // Game loop - fixed timestep driven by an accumulator
         this.gameLoop = null;
         this.lastFrameTime = 0;
+        this.accumulator = 0;
+        this.tickDuration = 1000 / this.config.tickRate;
 
         // Object ID generators
         this.nextProjectileId = 1;
         this.nextBugId = 1;
         this.nextPowerUpId = 1;
+        this.nextVolleyId = 1;
 
-        // Bug types and their corresponding power-ups
-        this.bugTypes = ['Functional Errors', 'Security Bugs', 'Quality Bugs', 'Embedded Secrets'];
-        this.powerUpTypes = ['TEST', 'CSM', 'SEC', 'QUAL'];
-        this.bugToPowerUpMap = {
-            'Functional Errors': 'TEST',
-            'Security Bugs': 'SEC',
-            'Quality Bugs': 'QUAL',
-            'Embedded Secrets': 'CSM'
-        };
+        // Volleys with projectiles still in play, by id - { inFlight, hit, missed }
+        this.volleys = {};
+        this.firingVolley = null; // id of the volley being fired, while fireWeapon runs
+
+        // Bug types and their corresponding power-ups - generated from the registry
+        this.bugTypes = this.bugTypeRegistry.names();
+        this.powerUpTypes = this.bugTypeRegistry.powerUpTypes();
+        this.bugToPowerUpMap = this.bugTypeRegistry.powerUpMap();
 
         this.initializeGame();
     }
@@ -86,9 +255,9 @@ class PipelineDefenderGame {
     }
 
     updateGameBounds() {
-        if (window.display && window.display.gameArea && typeof window.display.getGameAreaDimensions === 'function') {
+        if (this.renderer && typeof this.renderer.getGameAreaDimensions === 'function') {
             try {
-                const dimensions = window.display.getGameAreaDimensions();
+                const dimensions = this.renderer.getGameAreaDimensions();
                 console.log('Display dimensions:', dimensions);
                 // Ensure we have valid dimensions
                 if (dimensions.width > 0 && dimensions.height > 0) {
@@ -99,21 +268,22 @@ class PipelineDefenderGame {
                 }
             } catch (error) {
                 console.warn('Error getting display dimensions, using fallback:', error);
-                this.gameWidth = 800; // fallback
-                this.gameHeight = 600;
+                this.gameWidth = this.defaultWidth; // fallback
+                this.gameHeight = this.defaultHeight;
             }
         } else {
-            console.log('Display not fully available, using fallback dimensions');
-            this.gameWidth = 800; // fallback
-            this.gameHeight = 600;
+            this.gameWidth = this.defaultWidth;
+            this.gameHeight = this.defaultHeight;
         }
 
+        if (this.headless) return;
+
         console.log('Game bounds set to:', { width: this.gameWidth, height: this.gameHeight });
 
         // Debug: Log actual game area element dimensions
-        if (window.display && window.display.gameArea) {
+        if (this.renderer && this.renderer.gameArea) {
             try {
-                const rect = window.display.gameArea.getBoundingClientRect();
+                const rect = this.renderer.gameArea.getBoundingClientRect();
                 console.log('Game area DOM rect:', rect);
             } catch (error) {
                 console.warn('Error getting game area rect:', error);
@@ -131,15 +301,18 @@ class PipelineDefenderGame {
         };
     }
 
-    startNewGame() {
+    /**
+     * @param {Object} [options]
+     * @param {number|string} [options.seed] - Same seed => same bug types, positions and spawn timings
+     * @param {Object} [options.replay] - Recording from a previous result to play back instead of live input
+     * @param {string} [options.difficulty] - Key in DIFFICULTY_PRESETS (defaults to the selected difficulty;
+     *                                        replays use the one they were recorded at)
+     */
+    startNewGame(options = {}) {
         console.log('🎮 Starting new game...');
 
         // Ensure any previous game is fully stopped
         this.isRunning = false;
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-            this.timerInterval = null;
-        }
 
         // Update game bounds first
         this.updateGameBounds();
@@ -151,39 +324,72 @@ class PipelineDefenderGame {
 
         // Reset game data
         this.score = 0;
-        this.timeLeft = this.config.gameTime;
+        this.resetScoring();
         this.gameStartTime = Date.now();
+        this.tickCount = 0;
+        this.accumulator = 0;
+        this.rng = new GAME_MODULES.SeededRandom(options.replay ? options.replay.seed : options.seed);
+        this.seed = this.rng.seed;
+        this.applyDifficulty(options.replay
+            ? options.replay.difficulty || GAME_MODULES.DEFAULT_DIFFICULTY // recordings from before difficulties used the standard tuning
+            : options.difficulty || this.difficulty);
+        this.pendingShot = false;
         this.collectedPowerUps = [];
         this.uniquePowerUps = new Set();
-        this.bugStats = {
-            'Functional Errors': 0,
-            'Security Bugs': 0,
-            'Quality Bugs': 0,
-            'Embedded Secrets': 0
-        };
+        this.bugStats = this.bugTypeRegistry.createStats();
+        this.activeAbilities = {};
 
-        // Issue #12: Reset power-up timer and cycling index
-        this.powerUpTimer = 0;
+        // Issue #12: Reset power-up cycling index (the timer restarts with each level)
         this.currentPowerUpIndex = 0;
+        this.weaponTimer = 0;
+        this.weaponsCollected = 0;
+        this.levelsCleared = 0;
+        this.bossesDefeated = [];
 
-        // Reset bug escape counter
+        // Reset bug escape counter and pipeline integrity
         this.bugsEscaped = 0;
+        this.integrity = this.config.maxIntegrity;
+        this.integrityDamage = this.bugTypeRegistry.createStats();
 
         // Clear objects
-        this.projectiles = [];
-        this.bugs = [];
-        this.powerUps = [];
+        this.projectilePool.releaseAll(this.projectiles);
+        this.bugPool.releaseAll(this.bugs);
+        this.powerUpPool.releaseAll(this.powerUps);
+        this.flushPools();
+        this.boss = null;
+        this.volleys = {};
 
         // Reset IDs
         this.nextProjectileId = 1;
         this.nextBugId = 1;
         this.nextPowerUpId = 1;
+        this.nextVolleyId = 1;
 
         // Reset player after bounds are set
         this.resetPlayer();
+        this.equipWeapon('single');
+
+        // Either play back a recording or record this run's inputs
+        if (options.replay) {
+            this.replay = new GAME_MODULES.ReplayPlayer(options.replay);
+            this.recorder = null;
+            if (options.replay.gameWidth !== this.gameWidth || options.replay.gameHeight !== this.gameHeight) {
+                console.warn('Replay was recorded at a different game size and may diverge');
+            }
+        } else {
+            this.replay = null;
+            this.recorder = new GAME_MODULES.InputRecorder({
+                seed: this.seed,
+                difficulty: this.runDifficulty,
+                tickRate: this.config.tickRate,
+                gameWidth: this.gameWidth,
+                gameHeight: this.gameHeight
+            });
+        }
 
         console.log('Game state reset:', {
             gameState: this.gameState,
+            seed: this.seed,
             gameWidth: this.gameWidth,
             gameHeight: this.gameHeight,
             playerPosition: this.player,
@@ -191,27 +397,37 @@ class PipelineDefenderGame {
         });
 
         // Clear display with error handling
-        if (window.display) {
+        if (this.renderer) {
             try {
-                window.display.clearGameObjects();
-                window.display.ensureHUDVisible(); // Ensure HUD is visible
+                this.renderer.clearGameObjects();
+                this.renderer.ensureHUDVisible(); // Ensure HUD is visible
             } catch (error) {
                 console.error('Error during cleanup, continuing anyway:', error);
             }
-            window.display.updateScore(this.score);
-            window.display.updateTimer(this.timeLeft);
-            window.display.updatePipelineStatus(Array.from(this.uniquePowerUps));
+            this.renderer.updateScore(this.score);
+            this.renderer.updateIntegrity(this.integrity, this.config.maxIntegrity);
+            this.renderer.updatePipelineStatus(Array.from(this.uniquePowerUps));
+            this.powerUpTypes.forEach(type => this.renderer.updateAbilityTimer(type, 0, 0));
         }
 
         // Reset input
-        if (window.input) {
-            window.input.reset();
+        if (this.input) {
+            this.input.reset();
         }
 
-        // Start game loop
-        this.startGameLoop();
+        this.events.emit('gameStart', {
+            seed: this.seed,
+            isReplay: !!this.replay,
+            gameWidth: this.gameWidth,
+            gameHeight: this.gameHeight
+        });
+
+        this.startLevel(0);
 
-        // Game started successfully
+        // Start game loop (headless callers drive step() themselves)
+        if (!this.headless) {
+            this.startGameLoop();
+        }
     }
 
     setupGameLoop() {
@@ -223,7 +439,7 @@ class PipelineDefenderGame {
 
             if (!this.isPaused) {
                 try {
-                    this.update(deltaTime);
+                    this.advance(deltaTime);
                     this.render(); // Add canvas rendering
                 } catch (error) {
                     console.error('Error in game loop:', error);
@@ -242,36 +458,249 @@ class PipelineDefenderGame {
     startGameLoop() {
         this.lastFrameTime = performance.now();
         requestAnimationFrame(this.gameLoop);
+    }
 
-        // Start timer
-        this.startTimer();
+    // Feed elapsed wall-clock time into the accumulator and run as many fixed ticks as it covers
+    advance(deltaTime) {
+        this.accumulator += Math.min(Math.max(deltaTime, 0), this.config.maxFrameTime);
+
+        while (this.accumulator >= this.tickDuration && this.isRunning && !this.isPaused) {
+            this.update();
+            this.accumulator -= this.tickDuration;
+        }
     }
 
-    startTimer() {
-        this.timerInterval = setInterval(() => {
-            if (!this.isPaused && this.isRunning) {
-                this.timeLeft--;
+    // Advance the simulation by exactly one tick - used by headless drivers
+    step() {
+        if (!this.isRunning || this.isPaused) return;
+        this.update();
+    }
 
-                // Issue #12: Power-up timing control (1 every 10 seconds)
-                this.powerUpTimer++;
-                if (this.powerUpTimer >= this.powerUpInterval) {
-                    this.spawnPowerUp();
-                    this.powerUpTimer = 0; // Reset timer
-                }
+    getCurrentLevel() {
+        return this.levels[this.levelIndex];
+    }
 
-                if (window.display) {
-                    window.display.updateTimer(this.timeLeft);
-                }
+    // Seconds a stage lasts at the current difficulty (whole seconds - the countdown ticks once a second)
+    getLevelDuration(level) {
+        return Math.max(1, Math.round(level.duration * this.config.levelTimeScale));
+    }
 
-                if (this.timeLeft <= 0) {
-                    this.endGame(true, 'Mission complete! You survived the full 60 seconds!');
-                }
+    isInIntermission() {
+        return this.intermissionTicks > 0;
+    }
+
+    startLevel(index) {
+        const level = this.levels[index];
+
+        this.levelIndex = index;
+        this.levelTicks = 0;
+        this.levelShotsFired = 0;
+        this.levelShotsHit = 0;
+        this.intermissionTicks = 0;
+        this.timeLeft = this.getLevelDuration(level);
+
+        // Issue #12: Power-up cadence is set per level
+        this.powerUpInterval = (level.powerUpInterval || 10) * this.config.powerUpIntervalScale;
+        this.powerUpTimer = 0;
+
+        if (this.renderer) {
+            this.renderer.updateLevel(index + 1, level.name);
+            this.renderer.updateTimer(this.timeLeft);
+        }
+
+        this.events.emit('levelStart', { level: index + 1, name: level.name });
+    }
+
+    completeLevel() {
+        const level = this.getCurrentLevel();
+        this.levelsCleared++;
+
+        this.events.emit('levelComplete', { level: this.levelIndex + 1, name: level.name });
+        this.awardAccuracyBonus();
+
+        if (this.levelIndex >= this.levels.length - 1) {
+            this.endGame(true, `Mission complete! All ${this.levels.length} pipeline stages secured!`);
+            return;
+        }
+
+        // Stage cleared - wipe the field and take a breather before the next level
+        for (let i = this.bugs.length - 1; i >= 0; i--) {
+            const bug = this.bugs[i];
+            if (this.renderer) {
+                this.renderer.createExplosion(bug.x + bug.width/2, bug.y + bug.height/2);
             }
-        }, 1000);
+            this.removeBug(i);
+        }
+        for (let i = this.powerUps.length - 1; i >= 0; i--) {
+            this.removePowerUp(i);
+        }
+
+        this.intermissionTicks = this.config.intermissionTime * this.config.tickRate;
+    }
+
+    // Level countdown, intermissions and power-up cadence, all measured in simulation ticks
+    updateTimers() {
+        if (this.isInIntermission()) {
+            this.intermissionTicks--;
+            if (this.intermissionTicks === 0) {
+                this.startLevel(this.levelIndex + 1);
+            }
+            return;
+        }
+
+        this.levelTicks++;
+
+        // Issue #12: Power-up timing control (1 every N seconds, per level)
+        this.powerUpTimer++;
+        if (this.powerUpTimer >= this.powerUpInterval * this.config.tickRate) {
+            this.spawnPowerUp();
+            this.powerUpTimer = 0; // Reset timer
+        }
+
+        this.weaponTimer++;
+        if (this.weaponTimer >= this.config.weaponDropInterval * this.config.tickRate) {
+            this.spawnWeaponPickup();
+            this.weaponTimer = 0;
+        }
+
+        // A boss level ends when its boss does, not on the clock
+        if (this.boss) return;
+
+        if (this.levelTicks % this.config.tickRate !== 0) return;
+
+        this.timeLeft--;
+
+        if (this.renderer) {
+            this.renderer.updateTimer(this.timeLeft);
+        }
+
+        this.events.emit('timerTick', { timeLeft: this.timeLeft, duration: this.getLevelDuration(this.getCurrentLevel()) });
+
+        if (this.timeLeft <= 0) {
+            const level = this.getCurrentLevel();
+            if (level.boss) {
+                this.spawnBoss(level.boss);
+            } else {
+                this.completeLevel();
+            }
+        }
+    }
+
+    spawnBoss(bossId) {
+        const definition = GAME_MODULES.BOSS_DEFINITIONS[bossId];
+
+        this.boss = {
+            ...definition,
+            id: bossId,
+            x: this.gameWidth / 2 - definition.width / 2,
+            y: -definition.height,
+            maxHealth: definition.health,
+            direction: 1,
+            attackIndex: 0,
+            attackTimer: 0,
+            exposedTicks: 0, // > 0 while the weak point can be damaged
+            spawnTick: this.tickCount
+        };
+
+        if (this.renderer) {
+            this.renderer.updateTimer('BOSS');
+            this.renderer.flashWarning();
+        }
+
+        this.events.emit('bossSpawn', { id: bossId, name: definition.name, level: this.levelIndex + 1 });
+    }
+
+    updateBoss() {
+        const boss = this.boss;
+        if (!boss) return;
+
+        if (boss.exposedTicks > 0) {
+            boss.exposedTicks--;
+        }
+
+        // Descend into position before sweeping and attacking
+        if (boss.y < boss.hoverY) {
+            boss.y = Math.min(boss.hoverY, boss.y + 1);
+            return;
+        }
+
+        boss.x += boss.direction * boss.sweepSpeed;
+        if (boss.x <= 0 || boss.x + boss.width >= this.gameWidth) {
+            boss.direction *= -1;
+            boss.x = Math.max(0, Math.min(this.gameWidth - boss.width, boss.x));
+        }
+
+        boss.attackTimer++;
+        if (boss.attackTimer >= boss.attackInterval * this.config.tickRate) {
+            boss.attackTimer = 0;
+            GAME_MODULES.BOSS_ATTACKS[boss.attacks[boss.attackIndex]](boss, this);
+            boss.attackIndex = (boss.attackIndex + 1) % boss.attacks.length;
+        }
+    }
+
+    // Weak point rectangle in game coordinates
+    getBossWeakPoint(boss) {
+        return {
+            x: boss.x + boss.width * boss.weakPoint.x,
+            y: boss.y + boss.height * boss.weakPoint.y,
+            width: boss.width * boss.weakPoint.width,
+            height: boss.height * boss.weakPoint.height
+        };
+    }
+
+    // Resolve a projectile hit on the boss; returns false if the projectile missed it, true if it hit or was absorbed
+    hitBoss(projectile, swept = projectile) {
+        const boss = this.boss;
+        if (!boss || !this.isColliding(swept, boss)) return false;
+
+        let damage = projectile.damage || 1;
+        const weakPoint = this.getBossWeakPoint(boss);
+        if (this.isColliding(swept, weakPoint)) {
+            // Only the counter power-up exposes the weak point - otherwise it shrugs hits off
+            damage = boss.exposedTicks > 0 ? boss.weakPoint.damage : 0;
+        }
+
+        // An absorbed shot still stops, but it is no hit - it builds no combo and counts against accuracy
+        if (damage <= 0) return true;
+
+        boss.health = Math.max(0, boss.health - damage);
+        this.registerHit(projectile);
+
+        if (this.renderer) {
+            this.renderer.createExplosion(projectile.x, projectile.y);
+        }
+
+        if (boss.health <= 0) {
+            this.defeatBoss();
+        }
+        return true;
     }
 
-    update(deltaTime) {
-        this.frameCounter++;
+    defeatBoss() {
+        const boss = this.boss;
+        const fightTime = Math.floor((this.tickCount - boss.spawnTick) / this.config.tickRate);
+
+        this.boss = null;
+        this.bossesDefeated.push({ name: boss.name, level: this.levelIndex + 1, fightTime });
+        this.addScore(boss.points);
+        this.events.emit('bossDefeated', { id: boss.id, name: boss.name, fightTime });
+
+        if (this.renderer) {
+            const centerX = boss.x + boss.width / 2;
+            const centerY = boss.y + boss.height / 2;
+            [[0, 0], [-0.3, -0.2], [0.3, 0.2], [-0.25, 0.25], [0.25, -0.25]].forEach(([dx, dy]) => {
+                this.renderer.createExplosion(centerX + dx * boss.width, centerY + dy * boss.height);
+            });
+            this.renderer.createScorePopup(centerX, boss.y, boss.points, true);
+            this.renderer.shakeScreen(4, 600);
+        }
+
+        this.completeLevel();
+    }
+
+    // One fixed simulation tick
+    update() {
+        this.tickCount++;
 
         // Handle input
         this.handleInput();
@@ -280,23 +709,281 @@ class PipelineDefenderGame {
         this.updatePlayer();
         this.updateProjectiles();
         this.updateBugs();
+        this.updateBoss();
         this.updatePowerUps();
 
+        // An escaped bug may have breached the pipeline
+        if (!this.isRunning) return;
+
         // Spawn new objects
         this.spawnObjects();
 
         // Check collisions after movement
         this.checkCollisions();
 
+        // Advance the clock last so a run ends after its final tick is resolved
+        this.updateAbilities();
+        this.updateTimers();
+
+        // Runs that were quit early stop where the recording stops
+        if (this.replay && this.isRunning && this.replay.isFinished(this.tickCount)) {
+            this.endGame(false, 'Replay finished');
+        }
+
+        // Objects removed this tick can be reused from the next one
+        this.flushPools();
+
         // Update display
         this.updateDisplay();
     }
 
+    flushPools() {
+        this.projectilePool.flush();
+        this.bugPool.flush();
+        this.powerUpPool.flush();
+    }
+
+    /**
+     * Pick the difficulty for future runs - the current run keeps the one it started with
+     * @param {string} difficulty - key in DIFFICULTY_PRESETS
+     */
+    setDifficulty(difficulty) {
+        if (!GAME_MODULES.DIFFICULTY_PRESETS[difficulty]) {
+            console.warn(`Unknown difficulty "${difficulty}", keeping ${this.difficulty}`);
+            return;
+        }
+        this.difficulty = difficulty;
+    }
+
+    // Merge a preset's tuning into the config for the run that's starting
+    applyDifficulty(difficulty) {
+        if (!GAME_MODULES.DIFFICULTY_PRESETS[difficulty]) {
+            console.warn(`Unknown difficulty "${difficulty}", playing at ${GAME_MODULES.DEFAULT_DIFFICULTY}`);
+            difficulty = GAME_MODULES.DEFAULT_DIFFICULTY;
+        }
+        this.runDifficulty = difficulty;
+        Object.assign(this.config, GAME_MODULES.DIFFICULTY_PRESETS[difficulty].config);
+    }
+
+    // Watch a recorded run (the replay object from a previous game result)
+    startReplay(recording) {
+        this.startNewGame({ replay: recording });
+    }
+
+    isReplaying() {
+        return !!this.replay;
+    }
+
+    /**
+     * Everything needed to carry on the current run later, as plain JSON-safe data - null when
+     * there's nothing to save (no run in progress, or a replay, whose recording already is the run)
+     */
+    createSnapshot() {
+        if (!this.isRunning || this.replay) return null;
+
+        const snapshot = {
+            version: SNAPSHOT_VERSION,
+            savedAt: Date.now(),
+            seed: this.seed,
+            rngState: this.rng.getState(),
+            difficulty: this.runDifficulty,
+            gameWidth: this.gameWidth,
+            gameHeight: this.gameHeight,
+            player: this.player,
+            projectiles: this.projectiles,
+            bugs: this.bugs,
+            powerUps: this.powerUps,
+            boss: this.boss,
+            weapon: this.weapon,
+            activeAbilities: this.activeAbilities,
+            collectedPowerUps: this.collectedPowerUps,
+            uniquePowerUps: Array.from(this.uniquePowerUps),
+            bugStats: this.bugStats,
+            integrityDamage: this.integrityDamage,
+            bossesDefeated: this.bossesDefeated,
+            volleys: this.volleys,
+            recording: this.recorder ? this.recorder.finish(this.tickCount) : null
+        };
+        SNAPSHOT_FIELDS.forEach(field => {
+            snapshot[field] = this[field];
+        });
+
+        // Detach from the live (and pooled) objects
+        return JSON.parse(JSON.stringify(snapshot));
+    }
+
+    // Throws if a snapshot can't be continued by this version of the game
+    validateSnapshot(snapshot) {
+        if (!snapshot || typeof snapshot !== 'object') {
+            throw new Error('Saved run is missing');
+        }
+        if (snapshot.version !== SNAPSHOT_VERSION) {
+            throw new Error(`Unsupported saved run version: ${snapshot.version}`);
+        }
+        const objects = ['player', 'weapon', 'activeAbilities', 'bugStats', 'integrityDamage', 'volleys'];
+        const lists = ['projectiles', 'bugs', 'powerUps', 'collectedPowerUps', 'uniquePowerUps', 'bossesDefeated'];
+        const malformed = objects.some(key => !snapshot[key] || typeof snapshot[key] !== 'object') ||
+            lists.some(key => !Array.isArray(snapshot[key])) ||
+            SNAPSHOT_FIELDS.some(field => !(field in snapshot)) ||
+            snapshot.projectiles.some(projectile => !Number.isInteger(projectile.pierce));
+        if (malformed) {
+            throw new Error('Saved run is malformed');
+        }
+
+        // Content can change between versions of the game - don't continue a run that refers to something gone
+        if (!this.levels[snapshot.levelIndex]) {
+            throw new Error(`Saved run is on an unknown level: ${snapshot.levelIndex + 1}`);
+        }
+        if (!GAME_MODULES.DIFFICULTY_PRESETS[snapshot.difficulty]) {
+            throw new Error(`Saved run uses an unknown difficulty: ${snapshot.difficulty}`);
+        }
+        if (!GAME_MODULES.WEAPON_DEFINITIONS[snapshot.weapon.id]) {
+            throw new Error(`Saved run uses an unknown weapon: ${snapshot.weapon.id}`);
+        }
+        if (snapshot.boss && !GAME_MODULES.BOSS_DEFINITIONS[snapshot.boss.id]) {
+            throw new Error(`Saved run is fighting an unknown boss: ${snapshot.boss.id}`);
+        }
+        const unknownBug = snapshot.bugs.find(bug => !this.bugTypeRegistry.get(bug.type));
+        if (unknownBug) {
+            throw new Error(`Saved run has an unknown bug type: ${unknownBug.type}`);
+        }
+        const unknownPowerUp = snapshot.powerUps.find(powerUp => powerUp.weapon
+            ? !GAME_MODULES.WEAPON_DEFINITIONS[powerUp.weapon]
+            : !this.bugTypeRegistry.getByPowerUp(powerUp.type));
+        if (unknownPowerUp) {
+            throw new Error(`Saved run has an unknown power-up: ${unknownPowerUp.weapon || unknownPowerUp.type}`);
+        }
+        if (snapshot.recording) {
+            GAME_MODULES.ReplayPlayer.validate(snapshot.recording);
+        }
+    }
+
+    /**
+     * Continue a run saved with createSnapshot(), tick-for-tick where it left off - the recording
+     * carries on too, so the finished run's replay still covers it from the first tick
+     * @param {Object} snapshot
+     * @throws {Error} if the snapshot is from an incompatible version or refers to content that no longer exists
+     */
+    resumeRun(snapshot) {
+        this.validateSnapshot(snapshot);
+        const data = JSON.parse(JSON.stringify(snapshot)); // restoring must not alias the caller's copy
+
+        console.log('🎮 Resuming saved run...');
+
+        // Ensure any previous game is fully stopped
+        this.isRunning = false;
+
+        this.updateGameBounds();
+        if (data.gameWidth !== this.gameWidth || data.gameHeight !== this.gameHeight) {
+            console.warn('Saved run was played at a different game size and may diverge');
+        }
+
+        this.gameState = 'playing';
+        this.isRunning = true;
+        this.isPaused = false;
+        this.gameStartTime = Date.now();
+        this.accumulator = 0;
+        this.replay = null;
+
+        this.rng = new GAME_MODULES.SeededRandom(data.seed);
+        this.rng.setState(data.rngState);
+        this.seed = this.rng.seed;
+        this.applyDifficulty(data.difficulty);
+        SNAPSHOT_FIELDS.forEach(field => {
+            this[field] = data[field];
+        });
+
+        // Entities go back through their pools, so later removals recycle them as usual
+        this.projectilePool.releaseAll(this.projectiles);
+        this.bugPool.releaseAll(this.bugs);
+        this.powerUpPool.releaseAll(this.powerUps);
+        this.flushPools();
+        data.projectiles.forEach(projectile => this.projectilePool.add(this.projectiles, this.projectilePool.acquire(projectile)));
+        data.bugs.forEach(bug => this.bugPool.add(this.bugs, this.bugPool.acquire(bug)));
+        data.powerUps.forEach(powerUp => this.powerUpPool.add(this.powerUps, this.powerUpPool.acquire(powerUp)));
+
+        this.player = data.player;
+        this.boss = data.boss;
+        this.weapon = data.weapon;
+        this.activeAbilities = data.activeAbilities;
+        this.collectedPowerUps = data.collectedPowerUps;
+        this.uniquePowerUps = new Set(data.uniquePowerUps);
+        this.bugStats = Object.assign(this.bugTypeRegistry.createStats(), data.bugStats);
+        this.integrityDamage = Object.assign(this.bugTypeRegistry.createStats(), data.integrityDamage);
+        this.bossesDefeated = data.bossesDefeated;
+        this.volleys = data.volleys;
+        this.recorder = data.recording ? GAME_MODULES.InputRecorder.fromRecording(data.recording) : null;
+
+        if (this.renderer) {
+            try {
+                this.renderer.clearGameObjects();
+                this.renderer.ensureHUDVisible(); // Ensure HUD is visible
+            } catch (error) {
+                console.error('Error during cleanup, continuing anyway:', error);
+            }
+            this.syncRenderer();
+        }
+
+        // Reset input
+        if (this.input) {
+            this.input.reset();
+        }
+
+        this.events.emit('gameStart', {
+            seed: this.seed,
+            isReplay: false,
+            resumed: true,
+            gameWidth: this.gameWidth,
+            gameHeight: this.gameHeight
+        });
+
+        // Start game loop (headless callers drive step() themselves)
+        if (!this.headless) {
+            this.startGameLoop();
+        }
+    }
+
+    // Redraw the HUD and recreate display objects for state restored from a snapshot
+    syncRenderer() {
+        const level = this.getCurrentLevel();
+
+        this.renderer.updateScore(this.score);
+        this.renderer.updateLevel(this.levelIndex + 1, level.name);
+        this.renderer.updateTimer(this.boss ? 'BOSS' : this.timeLeft);
+        this.renderer.updateIntegrity(this.integrity, this.config.maxIntegrity);
+        this.renderer.updateWeapon(GAME_MODULES.WEAPON_DEFINITIONS[this.weapon.id], this.weapon.level);
+        this.renderer.updatePipelineStatus(Array.from(this.uniquePowerUps));
+        this.powerUpTypes.forEach(type => this.renderer.updateAbilityTimer(type, 0, 0));
+        Object.values(this.activeAbilities).forEach(state => {
+            this.renderer.updateAbilityTimer(state.powerUpType, Math.ceil(state.ticksLeft / this.config.tickRate), state.charges);
+        });
+
+        this.projectiles.forEach(projectile => this.renderer.createProjectile(projectile));
+        this.bugs.forEach(bug => this.renderer.createBug(bug));
+        this.powerUps.forEach(powerUp => this.renderer.createPowerUp(powerUp));
+    }
+
     handleInput() {
-        if (!window.input) return;
+        let direction = 0;
+        let fire = false;
+        let trigger = false; // fire button held down
+
+        if (this.replay) {
+            ({ direction, shoot: fire, trigger } = this.replay.frameAt(this.tickCount));
+        } else {
+            direction = this.input ? this.input.getMovementDirection() : 0;
+            fire = this.pendingShot;
+            trigger = !!(this.input && this.input.isShooting && this.input.isShooting());
+        }
+        this.pendingShot = false;
+
+        if (this.recorder) {
+            this.recorder.record(this.tickCount, direction, fire, trigger);
+        }
 
-        const direction = window.input.getMovementDirection();
         this.player.velocity = direction * this.config.playerSpeed;
+
+        this.updateWeapon(fire, trigger);
     }
 
     updatePlayer() {
@@ -307,8 +994,8 @@ class PipelineDefenderGame {
         this.player.x = Math.max(0, Math.min(this.gameWidth - this.player.width, this.player.x));
 
         // Update display
-        if (window.display) {
-            window.display.updatePlayer({
+        if (this.renderer) {
+            this.renderer.updatePlayer({
                 x: this.player.x,
                 y: this.player.y,
                 velocity: this.player.velocity
@@ -320,30 +1007,28 @@ class PipelineDefenderGame {
         for (let i = this.projectiles.length - 1; i >= 0; i--) {
             const projectile = this.projectiles[i];
 
-            // Store old position for collision detection
-            // If this is the first frame, oldY should be the current Y
-            if (projectile.oldY === undefined) {
-                projectile.oldY = projectile.y;
-            } else {
-                projectile.oldY = projectile.y;
-            }
+            // Store old position for the swept collision test
+            projectile.oldX = projectile.x;
+            projectile.oldY = projectile.y;
 
-            projectile.y -= this.config.projectileSpeed; // Move up (decrease y)
+            projectile.y -= projectile.speed; // Move up (decrease y)
+            projectile.x += projectile.vx; // Spread shots drift sideways
 
             // Removed verbose projectile logging
 
-            // Remove if off screen (top)
-            if (projectile.y < -projectile.height) {
-                if (window.display) {
-                    window.display.removeProjectile(projectile.id);
+            // Remove if off screen (top or sides) - a shot that leaves without hitting anything missed
+            if (projectile.y < -projectile.height || projectile.x < -projectile.width || projectile.x > this.gameWidth) {
+                const volley = this.volleys[projectile.volleyId];
+                if (volley && !projectile.hasCollided) {
+                    volley.missed = true;
                 }
-                this.projectiles.splice(i, 1);
+                this.removeProjectile(i);
                 continue;
             }
 
             // Update display
-            if (window.display) {
-                window.display.updateProjectile(projectile);
+            if (this.renderer) {
+                this.renderer.updateProjectile(projectile);
             }
         }
     }
@@ -351,35 +1036,72 @@ class PipelineDefenderGame {
     updateBugs() {
         for (let i = this.bugs.length - 1; i >= 0; i--) {
             const bug = this.bugs[i];
-            bug.y += this.config.bugSpeed;
-
-            // Remove bugs that reach the bottom (Issue #13: score-based survival, no game over from bugs reaching bottom)
+            const { behavior, params } = this.getBugBehavior(bug.type);
+            bug.prevX = bug.x;
+            bug.prevY = bug.y;
+            behavior.update(bug, params, this);
+            this.runAbilityHooks('onBugMoved', bug);
+            bug.age++;
+
+            // Bugs that reach the bottom escape and damage the pipeline
             if (bug.y + bug.height >= this.gameHeight) {
-                // Bug escaped - apply penalty and count
-                this.bugsEscaped++;
-                this.score = Math.max(0, this.score - 1); // -1 point penalty, don't go below 0
-
-                // Update score display
-                if (window.display) {
-                    window.display.updateScore(this.score);
-                }
-
                 this.removeBug(i);
-                continue;
-            }
-            if (bug.y > this.gameHeight) {
-                if (window.display) {
-                    window.display.removeBug(bug.id);
-                }
-                this.bugs.splice(i, 1);
+                this.escapeBug(bug);
+                if (!this.isRunning) return;
                 continue;
             }
 
             // Update display
-            if (window.display) {
-                window.display.updateBug(bug);
+            if (this.renderer) {
+                this.renderer.updateBug(bug);
+            }
+        }
+    }
+
+    // Apply the penalty for a bug that got past the player - severe bugs cost more integrity
+    escapeBug(bug) {
+        if (this.blockEscape(bug)) return;
+
+        const severity = this.bugTypeRegistry.get(bug.type).severity;
+        const damage = Math.min(this.integrity, Math.max(1, Math.round(severity * this.config.escapeDamageScale)));
+
+        this.bugsEscaped++;
+        this.breakCombo('escape');
+        this.score = Math.max(0, this.score - 1); // -1 point penalty, don't go below 0
+        this.integrity -= damage;
+        this.integrityDamage[bug.type] += damage;
+
+        if (this.renderer) {
+            this.renderer.updateScore(this.score);
+            this.renderer.updateIntegrity(this.integrity, this.config.maxIntegrity);
+            this.renderer.shakeScreen(1, 200);
+        }
+
+        this.events.emit('bugEscaped', { type: bug.type, damage, integrity: this.integrity });
+
+        if (this.integrity <= 0) {
+            this.endGame(false, `Pipeline integrity compromised! ${bug.type} broke through to production.`);
+        }
+    }
+
+    // Give a running ability the chance to stop an escape (e.g. the SEC firewall)
+    blockEscape(bug) {
+        for (const [abilityType, state] of Object.entries(this.activeAbilities)) {
+            const { ability, params } = this.getAbility(state.powerUpType);
+            if (ability.onEscape && ability.onEscape(bug, state, params, this)) {
+                if (state.charges !== undefined && state.charges <= 0) {
+                    this.endAbility(abilityType);
+                } else if (this.renderer) {
+                    this.renderer.updateAbilityTimer(state.powerUpType, Math.ceil(state.ticksLeft / this.config.tickRate), state.charges);
+                }
+                if (this.renderer) {
+                    this.renderer.createExplosion(bug.x + bug.width/2, bug.y + bug.height/2);
+                }
+                this.events.emit('escapeBlocked', { type: bug.type, ability: abilityType });
+                return true;
             }
         }
+        return false;
     }
 
     updatePowerUps() {
@@ -389,132 +1111,294 @@ class PipelineDefenderGame {
 
             // Remove if off screen
             if (powerUp.y > this.gameHeight) {
-                if (window.display) {
-                    window.display.removePowerUp(powerUp.id);
-                }
-                this.powerUps.splice(i, 1);
+                this.removePowerUp(i);
                 continue;
             }
 
             // Update display
-            if (window.display) {
-                window.display.updatePowerUp(powerUp);
+            if (this.renderer) {
+                this.renderer.updatePowerUp(powerUp);
             }
         }
     }
 
     spawnObjects() {
+        // No new bugs while the "stage cleared" intermission runs or a boss drops its own
+        if (this.isInIntermission() || this.boss) return;
+
         // Spawn bugs
-        if (Math.random() < this.config.spawnRate) {
+        const level = this.getCurrentLevel();
+        const spawnRate = level.spawnRate !== undefined ? level.spawnRate : this.config.spawnRate;
+        if (this.rng.next() < spawnRate * this.config.spawnRateScale) {
             this.spawnBug();
         }
 
         // Issue #12: Power-ups now spawn via timer (every 10 seconds) instead of random probability
-        // Power-up spawning moved to startTimer() method
+        // Power-up spawning moved to updateTimers()
     }
 
     spawnBug() {
         // All bug types continue to spawn for continuous gameplay
         // Power-ups clear existing bugs but don't prevent respawning
-        const bugType = this.bugTypes[Math.floor(Math.random() * this.bugTypes.length)];
+        const bugType = this.pickBugType();
 
-        const bug = {
-            id: this.nextBugId++,
-            x: Math.random() * (this.gameWidth - this.config.bugSize),
-            y: -this.config.bugSize,
-            width: this.config.bugSize,
-            height: this.config.bugSize,
+        this.addBug({
             type: bugType,
-            size: this.config.bugSize
-        };
+            x: this.rng.next() * (this.gameWidth - this.config.bugSize),
+            y: -this.config.bugSize,
+            size: this.config.bugSize,
+            speed: this.getBugSpeed(bugType)
+        });
+    }
 
-        this.bugs.push(bug);
+    /**
+     * Put a bug into play and run its behaviour's spawn hook
+     * @param {Object} props - type, x, y, size and speed, plus any behaviour state (e.g. generation)
+     */
+    addBug(props) {
+        const bug = this.bugPool.acquire(props);
+        bug.id = this.nextBugId++;
+        bug.health = props.health || 1;
+        bug.width = props.size;
+        bug.height = props.size;
+        bug.age = 0; // ticks alive, drives time-based behaviours
+
+        const { behavior, params } = this.getBugBehavior(bug.type);
+        if (behavior.onSpawn) {
+            behavior.onSpawn(bug, params, this);
+        }
+
+        this.bugPool.add(this.bugs, bug);
         // Bug spawned successfully
 
-        if (window.display) {
+        if (this.renderer) {
             try {
-                window.display.createBug(bug);
+                this.renderer.createBug(bug);
                 // Bug display created successfully
             } catch (error) {
                 console.error('❌ Error creating bug display:', error);
                 console.error('Bug data:', bug);
             }
-        } else {
-            console.error('❌ window.display not available for bug creation');
         }
     }
 
+    // Behaviour implementation and its registry parameters for a bug type (plain falling by default)
+    getBugBehavior(bugType) {
+        let entry = this.behaviorCache.get(bugType);
+        if (!entry) {
+            const params = this.bugTypeRegistry.get(bugType).behavior || { type: 'fall' };
+            entry = { behavior: GAME_MODULES.BUG_BEHAVIORS[params.type] || GAME_MODULES.BUG_BEHAVIORS.fall, params };
+            this.behaviorCache.set(bugType, entry);
+        }
+        return entry;
+    }
+
+    // Weighted pick from the current level's bug mix (types it doesn't list use their registry weight)
+    pickBugType() {
+        const mix = this.getCurrentLevel().bugMix || {};
+        const weightOf = (name) => mix[name] !== undefined ? mix[name] : this.bugTypeRegistry.get(name).spawnWeight;
+
+        const types = this.bugTypes.filter(name => weightOf(name) > 0);
+        const totalWeight = types.reduce((sum, name) => sum + weightOf(name), 0);
+
+        let roll = this.rng.next() * totalWeight;
+        for (const name of types) {
+            roll -= weightOf(name);
+            if (roll < 0) return name;
+        }
+        return types[types.length - 1];
+    }
+
+    // Speed for a newly spawned bug: the level's speed curve times the bug type's own speed
+    getBugSpeed(bugType) {
+        const curve = this.getCurrentLevel().bugSpeed;
+        const typeSpeed = this.bugTypeRegistry.get(bugType).speed;
+        if (!curve) {
+            return this.config.bugSpeed * typeSpeed * this.config.bugSpeedScale;
+        }
+
+        const levelTotalTicks = this.getLevelDuration(this.getCurrentLevel()) * this.config.tickRate;
+        const progress = Math.min(1, this.levelTicks / levelTotalTicks);
+        return (curve.start + (curve.end - curve.start) * progress) * typeSpeed * this.config.bugSpeedScale;
+    }
+
     spawnPowerUp() {
         // Issue #12: Cycle through power-up types instead of random selection
-        const powerUpType = this.powerUpTypes[this.currentPowerUpIndex];
-        this.currentPowerUpIndex = (this.currentPowerUpIndex + 1) % this.powerUpTypes.length;
+        // During a boss fight only the power-up that exposes its weak point drops
+        let powerUpType;
+        if (this.boss) {
+            powerUpType = this.boss.weakPoint.powerUp;
+        } else {
+            powerUpType = this.powerUpTypes[this.currentPowerUpIndex];
+            this.currentPowerUpIndex = (this.currentPowerUpIndex + 1) % this.powerUpTypes.length;
+        }
 
-        const powerUp = {
+        const powerUp = this.powerUpPool.acquire({
             id: this.nextPowerUpId++,
-            x: Math.random() * (this.gameWidth - this.config.powerUpSize),
+            x: this.rng.next() * (this.gameWidth - this.config.powerUpSize),
             y: -this.config.powerUpSize,
             width: this.config.powerUpSize,
             height: this.config.powerUpSize,
             type: powerUpType,
             size: this.config.powerUpSize
-        };
+        });
+
+        this.powerUpPool.add(this.powerUps, powerUp);
+
+        if (this.renderer) {
+            this.renderer.createPowerUp(powerUp);
+        }
+    }
+
+    // Drop a weapon crate from the current level's weaponDrops - shoot it to pick the weapon up
+    spawnWeaponPickup() {
+        const drops = this.getCurrentLevel().weaponDrops;
+        if (!drops || drops.length === 0) return;
 
-        this.powerUps.push(powerUp);
+        const size = this.config.weaponPickupSize;
+        const pickup = this.powerUpPool.acquire({
+            id: this.nextPowerUpId++,
+            x: this.rng.next() * (this.gameWidth - size),
+            y: -size,
+            width: size,
+            height: size,
+            type: 'WEAPON',
+            weapon: this.rng.pick(drops),
+            size: size
+        });
 
-        if (window.display) {
-            window.display.createPowerUp(powerUp);
+        this.powerUpPool.add(this.powerUps, pickup);
+
+        if (this.renderer) {
+            this.renderer.createPowerUp(pickup);
+        }
+    }
+
+    collectWeaponPickup(pickup) {
+        this.weaponsCollected++;
+        this.equipWeapon(pickup.weapon);
+
+        if (this.renderer) {
+            this.renderer.createPowerUpEffect(pickup.x + pickup.width/2, pickup.y, 'WEAPON');
         }
     }
 
     checkCollisions() {
-        // Simple, direct collision detection - no complex deferred removal
+        // Broadphase: bucket this tick's targets so each projectile only tests nearby ones
+        this.buildCollisionGrids();
+
         for (let i = this.projectiles.length - 1; i >= 0; i--) {
             const projectile = this.projectiles[i];
             if (!projectile) continue;
 
-            let hasHit = false;
-
-            // Check bugs first - remove projectile immediately after first hit
-            for (let j = this.bugs.length - 1; j >= 0 && !hasHit; j--) {
-                const bug = this.bugs[j];
-
-                if (this.isColliding(projectile, bug)) {
-                    // Immediate removal - no deferred processing
-                    this.removeProjectile(i);
-                    this.removeBug(j);
+            // Test the whole path travelled this tick so fast projectiles can't tunnel through
+            const swept = this.getSweptBounds(projectile);
 
-                    // Update score and stats
-                    this.addScore(10);
-                    this.bugStats[bug.type]++;
+            // Check bugs first
+            const bug = this.findSweptHit(this.bugGrid, this.bugPool, this.bugs, swept, projectile.hits);
+            if (bug) {
+                this.registerHit(projectile);
 
-                    // Visual effects
-                    if (window.display) {
-                        window.display.createExplosion(bug.x + bug.width/2, bug.y + bug.height/2);
-                        window.display.createScorePopup(bug.x + bug.width/2, bug.y, 10);
+                // Piercing projectiles carry on through, but only hit each bug once (-1 pierces without limit)
+                if (projectile.pierce !== 0) {
+                    if (projectile.pierce > 0) {
+                        projectile.pierce--;
                     }
+                    projectile.hits.push(bug.id);
+                } else {
+                    this.removeProjectile(i);
+                }
 
-                    hasHit = true; // Prevent checking other targets
+                // Bugs have hit points - only destroy them once they run out
+                bug.health -= projectile.damage;
+                if (bug.health <= 0) {
+                    this.killBug(this.bugPool.indexOf(this.bugs, bug));
                 }
+                continue;
             }
 
-            // Only check power-ups if projectile hasn't hit a bug and still exists
-            if (!hasHit && i < this.projectiles.length && this.projectiles[i]) {
-                for (let j = this.powerUps.length - 1; j >= 0 && !hasHit; j--) {
-                    const powerUp = this.powerUps[j];
+            // Then the boss, if one is in play - it stops every projectile
+            if (this.hitBoss(projectile, swept)) {
+                this.removeProjectile(i);
+                continue;
+            }
 
-                    if (this.isColliding(projectile, powerUp)) {
-                        // Immediate removal
-                        this.removeProjectile(i);
-                        this.removePowerUp(j);
+            // Finally power-ups and weapon pickups
+            const powerUp = this.findSweptHit(this.powerUpGrid, this.powerUpPool, this.powerUps, swept, null);
+            if (powerUp) {
+                this.removeProjectile(i);
+                this.removePowerUp(this.powerUpPool.indexOf(this.powerUps, powerUp));
+                this.collectPowerUp(powerUp);
+            }
+        }
+    }
 
-                        // Collect power-up
-                        this.collectPowerUp(powerUp);
+    buildCollisionGrids() {
+        this.bugGrid.clear();
+        this.powerUpGrid.clear();
+        this.bugs.forEach(bug => this.bugGrid.insert(bug));
+        this.powerUps.forEach(powerUp => this.powerUpGrid.insert(powerUp));
+    }
 
-                        hasHit = true; // Prevent further processing
-                    }
-                }
+    // Box covering everything a projectile passed through this tick, from oldX/oldY to where it is now
+    // (written into one reused object - it's only valid until the next call)
+    getSweptBounds(projectile) {
+        const oldX = projectile.oldX !== undefined ? projectile.oldX : projectile.x;
+        const oldY = projectile.oldY !== undefined ? projectile.oldY : projectile.y;
+        const swept = this.sweptBounds;
+
+        swept.x = Math.min(oldX, projectile.x);
+        swept.y = Math.min(oldY, projectile.y);
+        swept.width = Math.abs(projectile.x - oldX) + projectile.width;
+        swept.height = Math.abs(projectile.y - oldY) + projectile.height;
+        return swept;
+    }
+
+    /**
+     * The target a swept projectile reaches first - projectiles travel up, so the one lowest down
+     * @param {SpatialHash} grid - broadphase holding the candidates
+     * @param {EntityPool} pool - pool the list's objects come from (tracks where they are in it)
+     * @param {Object[]} list - live objects; anything removed earlier this tick is skipped
+     * @param {Object} swept - bounds from getSweptBounds()
+     * @param {number[]|null} excludeIds - ids a piercing projectile already went through
+     */
+    findSweptHit(grid, pool, list, swept, excludeIds) {
+        const candidates = grid.query(swept, this.collisionCandidates);
+        let hit = null;
+
+        for (let i = 0; i < candidates.length; i++) {
+            const target = candidates[i];
+            // Phased-out bugs can't be hit
+            if (target.intangible || !this.isColliding(swept, target) || pool.indexOf(list, target) < 0) continue;
+            if (excludeIds && excludeIds.includes(target.id)) continue;
+            if (!hit || target.y + target.height > hit.y + hit.height) {
+                hit = target;
             }
         }
+
+        return hit;
+    }
+
+    // Remove a shot-down bug, score it and run its behaviour's kill hook
+    killBug(index) {
+        const bug = this.bugs[index];
+        this.removeBug(index);
+
+        // Update score and stats - combo multiplier and type chain scale the bug's base points
+        const points = this.scoreKill(bug);
+        this.bugStats[bug.type]++;
+        this.events.emit('bugKilled', { type: bug.type, points, multiplier: this.getMultiplier() });
+
+        const { behavior, params } = this.getBugBehavior(bug.type);
+        if (behavior.onKilled) {
+            behavior.onKilled(bug, params, this);
+        }
+
+        // Visual effects
+        if (this.renderer) {
+            this.renderer.createExplosion(bug.x + bug.width/2, bug.y + bug.height/2);
+            this.renderer.createScorePopup(bug.x + bug.width/2, bug.y, points);
+        }
     }
 
     isColliding(projectile, target) {
@@ -525,116 +1409,415 @@ class PipelineDefenderGame {
                projectile.y + projectile.height > target.y;
     }
 
+    // Removal swaps the last object into the gap - callers iterate backwards when removing in a loop
     removeProjectile(index) {
-        const projectile = this.projectiles[index];
-        if (window.display) {
-            window.display.removeProjectile(projectile.id);
+        const projectile = this.projectilePool.removeAt(this.projectiles, index);
+        if (this.renderer) {
+            this.renderer.removeProjectile(projectile.id);
+        }
+
+        // Once a whole volley is out of play, it only counts as a miss if none of it hit
+        const volley = this.volleys[projectile.volleyId];
+        if (volley && --volley.inFlight === 0) {
+            delete this.volleys[projectile.volleyId];
+            if (volley.missed && !volley.hit) {
+                this.breakCombo('miss');
+            }
         }
-        this.projectiles.splice(index, 1);
     }
 
     removeBug(index) {
-        const bug = this.bugs[index];
-        if (window.display) {
-            window.display.removeBug(bug.id);
+        const bug = this.bugPool.removeAt(this.bugs, index);
+        if (this.renderer) {
+            this.renderer.removeBug(bug.id);
         }
-        this.bugs.splice(index, 1);
     }
 
     removePowerUp(index) {
-        const powerUp = this.powerUps[index];
-        if (window.display) {
-            window.display.removePowerUp(powerUp.id);
+        const powerUp = this.powerUpPool.removeAt(this.powerUps, index);
+        if (this.renderer) {
+            this.renderer.removePowerUp(powerUp.id);
         }
-        this.powerUps.splice(index, 1);
     }
 
     collectPowerUp(powerUp) {
+        if (powerUp.weapon) {
+            this.collectWeaponPickup(powerUp);
+            return;
+        }
+
         // Add to collected list (allows duplicates for scoring)
         this.collectedPowerUps.push(powerUp.type);
         // Track unique power-ups for pipeline status display
         this.uniquePowerUps.add(powerUp.type);
         this.addScore(1000);
+        this.events.emit('powerUpCollected', { type: powerUp.type });
 
         // Remove all bugs of the corresponding type currently on screen
-        const bugTypeToRemove = Object.keys(this.bugToPowerUpMap).find(
-            key => this.bugToPowerUpMap[key] === powerUp.type
-        );
+        const counteredType = this.bugTypeRegistry.getByPowerUp(powerUp.type);
+        const bugTypeToRemove = counteredType ? counteredType.name : null;
 
         if (bugTypeToRemove) {
             for (let i = this.bugs.length - 1; i >= 0; i--) {
                 const bug = this.bugs[i];
                 if (bug.type === bugTypeToRemove) {
-                    if (window.display) {
-                        window.display.createExplosion(bug.x + bug.width/2, bug.y + bug.height/2);
+                    if (this.renderer) {
+                        this.renderer.createExplosion(bug.x + bug.width/2, bug.y + bug.height/2);
                     }
                     this.removeBug(i);
                 }
             }
         }
 
+        this.grantAbility(powerUp.type);
+
+        // The boss's counter power-up exposes its weak point for a while
+        if (this.boss && this.boss.weakPoint.powerUp === powerUp.type) {
+            this.boss.exposedTicks = this.config.bossExposeTime * this.config.tickRate;
+        }
+
         // Visual effects
-        if (window.display) {
-            window.display.createScorePopup(powerUp.x + powerUp.width/2, powerUp.y, 1000, true);
-            window.display.createPowerUpEffect(powerUp.x + powerUp.width/2, powerUp.y, powerUp.type);
+        if (this.renderer) {
+            this.renderer.createScorePopup(powerUp.x + powerUp.width/2, powerUp.y, 1000, true);
+            this.renderer.createPowerUpEffect(powerUp.x + powerUp.width/2, powerUp.y, powerUp.type);
             // Use unique power-ups for pipeline status (shows which types have been collected at least once)
-            window.display.updatePipelineStatus(Array.from(this.uniquePowerUps));
+            this.renderer.updatePipelineStatus(Array.from(this.uniquePowerUps));
         }
 
-        // Score-based gameplay: Power-ups clear current bugs but don't prevent respawning
-        // Players survive 60 seconds and maximize score through repeated power-up collection
+        // Score-based gameplay: Power-ups clear current bugs and grant a timed ability, but don't prevent respawning
+    }
+
+    // Ability implementation and its registry parameters for a power-up type
+    getAbility(powerUpType) {
+        let entry = this.abilityCache.get(powerUpType);
+        if (!entry) {
+            const params = this.bugTypeRegistry.getByPowerUp(powerUpType).powerUp.ability;
+            entry = { ability: GAME_MODULES.POWER_UP_ABILITIES[params.type], params };
+            this.abilityCache.set(powerUpType, entry);
+        }
+        return entry;
+    }
+
+    // Start (or stack onto) the timed ability a power-up grants
+    grantAbility(powerUpType) {
+        const counteredType = this.bugTypeRegistry.getByPowerUp(powerUpType);
+        const params = counteredType && counteredType.powerUp.ability;
+        if (!params || !GAME_MODULES.POWER_UP_ABILITIES[params.type]) return;
+
+        const durationTicks = params.duration * this.config.tickRate;
+        const state = this.activeAbilities[params.type];
+
+        if (!state) {
+            this.activeAbilities[params.type] = {
+                powerUpType: powerUpType,
+                ticksLeft: durationTicks,
+                charges: params.charges
+            };
+        } else {
+            if (params.stacking === 'extend') {
+                const maxTicks = (params.maxDuration || params.duration) * this.config.tickRate;
+                state.ticksLeft = Math.min(state.ticksLeft + durationTicks, maxTicks);
+            } else {
+                state.ticksLeft = durationTicks;
+            }
+            if (params.charges !== undefined) {
+                state.charges = Math.min(state.charges + params.charges, params.maxCharges || params.charges);
+            }
+        }
+
+        const granted = this.activeAbilities[params.type];
+        if (this.renderer) {
+            this.renderer.updateAbilityTimer(powerUpType, Math.ceil(granted.ticksLeft / this.config.tickRate), granted.charges);
+        }
+        this.events.emit('abilityStart', { ability: params.type, powerUpType, ticksLeft: granted.ticksLeft, charges: granted.charges });
+    }
+
+    endAbility(abilityType) {
+        const state = this.activeAbilities[abilityType];
+        delete this.activeAbilities[abilityType];
+
+        if (this.renderer) {
+            this.renderer.updateAbilityTimer(state.powerUpType, 0, 0);
+        }
+        this.events.emit('abilityEnd', { ability: abilityType, powerUpType: state.powerUpType });
+    }
+
+    hasAbility(abilityType) {
+        return !!this.activeAbilities[abilityType];
+    }
+
+    // Count down running abilities; the HUD only changes on whole seconds
+    updateAbilities() {
+        for (const [abilityType, state] of Object.entries(this.activeAbilities)) {
+            state.ticksLeft--;
+
+            if (state.ticksLeft <= 0) {
+                this.endAbility(abilityType);
+            } else if (this.renderer && state.ticksLeft % this.config.tickRate === 0) {
+                this.renderer.updateAbilityTimer(state.powerUpType, state.ticksLeft / this.config.tickRate, state.charges);
+            }
+        }
+    }
+
+    // Run a hook on every active ability that implements it (runs per bug per tick, so no allocations)
+    runAbilityHooks(hook, target) {
+        for (const abilityType in this.activeAbilities) {
+            const { ability, params } = this.getAbility(this.activeAbilities[abilityType].powerUpType);
+            if (ability[hook]) {
+                ability[hook](target, params, this);
+            }
+        }
+    }
+
+    resetScoring() {
+        this.combo = 0; // consecutive hits without a miss or escape
+        this.peakCombo = 0;
+        this.typeChain = 0; // consecutive kills of chainType
+        this.chainType = null;
+        this.shotsFired = 0;
+        this.shotsHit = 0;
+        this.levelShotsFired = 0;
+        this.levelShotsHit = 0;
+        this.accuracyBonusTotal = 0;
+    }
+
+    getMultiplier() {
+        return Math.min(this.config.maxMultiplier, 1 + Math.floor(this.combo / this.config.comboStep));
+    }
+
+    // Hit rate over the whole run as a whole percentage
+    getAccuracy() {
+        return this.shotsFired > 0 ? Math.round((this.shotsHit / this.shotsFired) * 100) : 0;
+    }
+
+    // A projectile connected with a bug or the boss - accuracy counts each projectile once, even if it pierces
+    registerHit(projectile) {
+        this.combo++;
+        this.peakCombo = Math.max(this.peakCombo, this.combo);
+
+        if (!projectile.hasCollided) {
+            projectile.hasCollided = true;
+            this.shotsHit++;
+            this.levelShotsHit++;
+        }
+
+        const volley = this.volleys[projectile.volleyId];
+        if (volley) {
+            volley.hit = true;
+        }
+    }
+
+    breakCombo(reason) {
+        if (this.combo > 0) {
+            this.events.emit('comboBroken', { combo: this.combo, reason });
+        }
+        this.combo = 0;
+    }
+
+    // Score a kill and return the points awarded
+    scoreKill(bug) {
+        if (bug.type === this.chainType) {
+            this.typeChain++;
+        } else {
+            this.chainType = bug.type;
+            this.typeChain = 1;
+        }
+
+        const basePoints = this.bugTypeRegistry.get(bug.type).points;
+        const chainLinks = Math.max(0, this.typeChain - this.config.typeChainMin + 1);
+        const points = (basePoints + chainLinks * this.config.typeChainBonus) * this.getMultiplier();
+
+        this.addScore(points);
+        return points;
+    }
+
+    // End-of-level bonus for the share of the level's shots that hit something
+    awardAccuracyBonus() {
+        if (this.levelShotsFired < this.config.accuracyMinShots) return;
+
+        const hitRate = Math.min(1, this.levelShotsHit / this.levelShotsFired);
+        const bonus = Math.round(hitRate * this.config.accuracyBonus);
+        if (bonus <= 0) return;
+
+        this.accuracyBonusTotal += bonus;
+        this.addScore(bonus);
+        this.events.emit('accuracyBonus', { level: this.levelIndex + 1, accuracy: Math.round(hitRate * 100), bonus });
+
+        if (this.renderer) {
+            this.renderer.createScorePopup(this.gameWidth / 2, this.gameHeight / 2 + 60, bonus, true);
+        }
     }
 
     addScore(points) {
         this.score += points;
 
-        if (window.display) {
-            window.display.updateScore(this.score);
+        if (this.renderer) {
+            this.renderer.updateScore(this.score);
         }
     }
 
+    // Request a shot - the weapon fires it at the start of the next tick if its cooldown allows
     shoot() {
-        if (!this.isRunning || this.isPaused) return;
+        if (!this.isRunning || this.isPaused || this.replay) return;
+
+        this.pendingShot = true;
+
+        // Haptic tap on touch devices (the input source decides whether it can vibrate)
+        if (this.input && this.input.vibrate) {
+            this.input.vibrate([30]);
+        }
+    }
+
+    /**
+     * Arm a weapon, or level up the one already held
+     * @param {string} weaponId - key in WEAPON_DEFINITIONS
+     */
+    equipWeapon(weaponId) {
+        const definition = GAME_MODULES.WEAPON_DEFINITIONS[weaponId];
+
+        if (this.weapon && this.weapon.id === weaponId) {
+            this.weapon.level = Math.min(this.weapon.level + 1, definition.upgrade.maxLevel);
+        } else {
+            this.weapon = { id: weaponId, level: 1, cooldown: 0, charge: 0 };
+        }
+
+        if (this.renderer) {
+            this.renderer.updateWeapon(definition, this.weapon.level);
+        }
+        this.events.emit('weaponEquipped', { weapon: weaponId, level: this.weapon.level });
+    }
+
+    // What the renderer needs about the held weapon (charge is 0..1) - null until the first run equips one
+    getWeaponState() {
+        if (!this.weapon) return null;
+
+        const definition = GAME_MODULES.WEAPON_DEFINITIONS[this.weapon.id];
+        return {
+            id: this.weapon.id,
+            level: this.weapon.level,
+            charge: definition.charge ? this.weapon.charge / (definition.charge.time * this.config.tickRate) : 0,
+            color: definition.projectile.color
+        };
+    }
+
+    // Ticks between shots for the held weapon at its current level
+    getWeaponCooldownTicks() {
+        const definition = GAME_MODULES.WEAPON_DEFINITIONS[this.weapon.id];
+        const interval = Math.max(0.1, definition.fireInterval - (this.weapon.level - 1) * definition.upgrade.fireIntervalStep);
+        return Math.round(interval * this.config.fireIntervalScale * this.config.tickRate);
+    }
+
+    /**
+     * Apply this tick's fire input to the weapon: normal weapons fire on a press or while held,
+     * as fast as their cooldown allows; charged weapons build up while held and fire on release
+     */
+    updateWeapon(pressed, held) {
+        const weapon = this.weapon;
+        const definition = GAME_MODULES.WEAPON_DEFINITIONS[weapon.id];
+
+        if (weapon.cooldown > 0) {
+            weapon.cooldown--;
+        }
+
+        if (!definition.charge) {
+            if ((pressed || held) && weapon.cooldown === 0) {
+                this.fireWeapon(definition.damage);
+            }
+            return;
+        }
+
+        const fullCharge = definition.charge.time * this.config.tickRate;
+        if (pressed || held) {
+            weapon.charge = Math.min(weapon.charge + 1, fullCharge);
+            return;
+        }
+
+        if (weapon.charge > 0) {
+            if (weapon.charge >= definition.charge.minTime * this.config.tickRate && weapon.cooldown === 0) {
+                const ratio = weapon.charge / fullCharge;
+                this.fireWeapon(Math.round(definition.damage + (definition.charge.maxDamage - definition.damage) * ratio));
+            }
+            weapon.charge = 0;
+        }
+    }
 
-        const projectile = {
-            id: this.nextProjectileId++,
-            x: this.player.x + this.player.width / 2 - this.config.projectileSize / 2,
+    fireWeapon(damage) {
+        const definition = GAME_MODULES.WEAPON_DEFINITIONS[this.weapon.id];
+        const shot = {
+            x: this.player.x + this.player.width / 2 - definition.projectile.width / 2,
             y: this.player.y - 15, // Start 15px above player (both using top-based coordinates)
-            width: this.config.projectileSize,
-            height: 12,
-            size: this.config.projectileSize,
-            hasCollided: false
+            damage: damage,
+            pierce: definition.pierce || 0,
+            speed: definition.projectile.speed,
+            width: definition.projectile.width,
+            height: definition.projectile.height,
+            sprite: definition.projectile.sprite,
+            color: definition.projectile.color
         };
 
-        console.error('SHOOT: Player at Y:', this.player.y, 'Projectile created at Y:', projectile.y);
+        // Everything this trigger pull puts into play - pattern and ability extras - is one volley
+        this.firingVolley = this.startVolley();
+        const projectiles = GAME_MODULES.WEAPON_PATTERNS[definition.pattern](definition, shot, this);
+        this.weapon.cooldown = this.getWeaponCooldownTicks();
 
-        this.projectiles.push(projectile);
+        // Only the pattern's own shots - extras the hooks add don't fire hooks of their own
+        projectiles.forEach(projectile => this.runAbilityHooks('onFire', projectile));
+        this.firingVolley = null;
+        this.events.emit('shotFired', { weapon: this.weapon.id, damage, charged: !!definition.charge });
+    }
+
+    // A volley breaks the combo once, if none of its projectiles hit - not once per projectile that missed
+    startVolley() {
+        const id = this.nextVolleyId++;
+        this.volleys[id] = { inFlight: 0, hit: false, missed: false };
+        return id;
+    }
 
-        if (window.display) {
+    /**
+     * Put a projectile into play
+     * @param {Object} props - x and y, plus optional vx (sideways drift per tick), damage, pierce,
+     *                         speed, width, height, sprite and color (defaults are a plain single shot)
+     */
+    addProjectile(props) {
+        this.shotsFired++;
+        this.levelShotsFired++;
+
+        const projectile = this.projectilePool.acquire(props);
+        projectile.vx = props.vx || 0;
+        projectile.id = this.nextProjectileId++;
+        projectile.damage = props.damage || 1;
+        projectile.pierce = props.pierce || 0;
+        projectile.hits = projectile.pierce !== 0 ? [] : null; // bug ids already pierced
+        projectile.speed = props.speed || this.config.projectileSpeed;
+        projectile.width = props.width || this.config.projectileSize;
+        projectile.height = props.height || 12;
+        projectile.size = projectile.width;
+        projectile.hasCollided = false;
+        projectile.volleyId = this.firingVolley !== null ? this.firingVolley : this.startVolley();
+        this.volleys[projectile.volleyId].inFlight++;
+
+        this.projectilePool.add(this.projectiles, projectile);
+
+        if (this.renderer) {
             try {
-                window.display.createProjectile(projectile);
+                this.renderer.createProjectile(projectile);
                 // Projectile display created successfully
             } catch (error) {
                 console.error('❌ Error creating projectile display:', error);
                 console.error('Projectile data:', projectile);
             }
             // Debug: Projectile spawn coordinates calculated
-        } else {
-            console.error('❌ window.display not available for projectile creation');
         }
 
-        // Vibration feedback on mobile (disabled - not supported in all browsers)
-        if (window.input && window.input.vibrate) {
-            window.input.vibrate([30]);
-        }
+        return projectile;
     }
 
     movePlayer(deltaX) {
         this.player.x += deltaX;
         this.player.x = Math.max(0, Math.min(this.gameWidth - this.player.width, this.player.x));
 
-        if (window.display) {
-            window.display.updatePlayer({
+        if (this.renderer) {
+            this.renderer.updatePlayer({
                 x: this.player.x,
                 y: this.player.y,
                 velocity: deltaX > 0 ? 1 : -1
@@ -649,12 +1832,13 @@ class PipelineDefenderGame {
 
     pauseGame() {
         this.isPaused = true;
-        // Game paused
+        this.events.emit('gamePaused', { tick: this.tickCount });
     }
 
     resumeGame() {
         this.isPaused = false;
-        // Game resumed
+        this.accumulator = 0; // Don't replay time that passed while paused
+        this.events.emit('gameResumed', { tick: this.tickCount });
     }
 
     togglePause() {
@@ -672,20 +1856,27 @@ class PipelineDefenderGame {
         }
     }
 
+    // Abandon the run (Quit/Restart on the pause menu) - unlike endGame there's no result, so nothing
+    // reaches the game-over screen, the leaderboard or the stats
+    quitGame() {
+        if (!this.isRunning) return;
+
+        this.isRunning = false;
+        this.isPaused = false;
+        this.gameState = 'menu';
+        this.recorder = null;
+
+        this.events.emit('gameQuit', { tick: this.tickCount, isReplay: !!this.replay });
+    }
+
     endGame(success, message) {
         // Game ending
 
         this.isRunning = false;
         this.gameState = 'gameover';
 
-        // Stop timer
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-            this.timerInterval = null;
-        }
-
         // Calculate final stats
-        const timeTaken = this.config.gameTime - this.timeLeft;
+        const timeTaken = Math.floor(this.tickCount / this.config.tickRate);
         const totalBugsKilled = Object.values(this.bugStats).reduce((a, b) => a + b, 0);
 
         const gameResult = {
@@ -694,27 +1885,49 @@ class PipelineDefenderGame {
             timeTaken: timeTaken,
             bugsKilled: totalBugsKilled,
             bugsEscaped: this.bugsEscaped,
+            integrity: this.integrity,
+            maxIntegrity: this.config.maxIntegrity,
+            integrityDamage: { ...this.integrityDamage },
             powerupsCollected: this.collectedPowerUps.length,
             uniquePowerUpsCollected: this.uniquePowerUps.size,
             totalPowerUpTypes: this.powerUpTypes.length,
             bugStats: { ...this.bugStats },
+            level: this.levelIndex + 1,
+            levelsCleared: this.levelsCleared,
+            totalLevels: this.levels.length,
+            bossKills: this.bossesDefeated.length,
+            bossesDefeated: this.bossesDefeated.slice(),
+            peakCombo: this.peakCombo,
+            accuracy: this.getAccuracy(),
+            shotsFired: this.shotsFired,
+            shotsHit: this.shotsHit,
+            accuracyBonus: this.accuracyBonusTotal,
+            weapon: this.weapon.id,
+            weaponLevel: this.weapon.level,
+            weaponsCollected: this.weaponsCollected,
+            difficulty: this.runDifficulty,
+            difficultyLabel: GAME_MODULES.DIFFICULTY_PRESETS[this.runDifficulty].label,
+            seed: this.seed,
+            isReplay: !!this.replay,
+            replay: this.recorder ? this.recorder.finish(this.tickCount) : null,
             message: message
         };
 
-        this.lastGameResult = gameResult;
+        // Watching a replay must not replace the result of the run being watched
+        if (!this.replay) {
+            this.lastGameResult = gameResult;
+        }
 
         // Show end screen
-        if (window.screens) {
-            window.screens.endGame(gameResult);
-        }
+        this.events.emit('gameOver', gameResult);
 
         // Visual feedback
-        if (window.display) {
+        if (this.renderer) {
             if (success) {
-                window.display.createPowerUpEffect(this.gameWidth / 2, this.gameHeight / 2, 'SUCCESS');
+                this.renderer.createPowerUpEffect(this.gameWidth / 2, this.gameHeight / 2, 'SUCCESS');
             } else {
-                window.display.flashWarning();
-                window.display.shakeScreen(2, 500);
+                this.renderer.flashWarning();
+                this.renderer.shakeScreen(2, 500);
             }
         }
     }
@@ -723,7 +1936,7 @@ class PipelineDefenderGame {
         return this.lastGameResult || {
             success: false,
             score: this.score,
-            timeTaken: this.config.gameTime - this.timeLeft,
+            timeTaken: Math.floor(this.tickCount / this.config.tickRate),
             bugsKilled: Object.values(this.bugStats).reduce((a, b) => a + b, 0),
             powerupsCollected: this.collectedPowerUps.length,
             bugStats: { ...this.bugStats },
@@ -737,27 +1950,51 @@ class PipelineDefenderGame {
             gameState: this.gameState,
             isRunning: this.isRunning,
             isPaused: this.isPaused,
+            seed: this.seed,
+            difficulty: this.runDifficulty,
+            tickCount: this.tickCount,
             score: this.score,
             timeLeft: this.timeLeft,
+            integrity: this.integrity,
+            level: this.levelIndex + 1,
+            intermission: this.isInIntermission(),
             player: this.player,
             projectileCount: this.projectiles.length,
             bugCount: this.bugs.length,
             powerUpCount: this.powerUps.length,
             collectedPowerUps: this.collectedPowerUps,
+            abilities: this.activeAbilities,
+            weapon: this.getWeaponState(),
             bugStats: this.bugStats
         };
     }
 
     // Canvas rendering method
     render() {
-        if (window.display && window.display.render) {
+        if (this.renderer && this.renderer.render) {
             const gameState = {
                 player: this.player,
                 projectiles: this.projectiles,
                 bugs: this.bugs,
-                powerUps: this.powerUps
+                powerUps: this.powerUps,
+                boss: this.boss,
+                abilities: this.activeAbilities,
+                weapon: this.getWeaponState(),
+                scoring: {
+                    combo: this.combo,
+                    multiplier: this.getMultiplier(),
+                    typeChain: this.typeChain,
+                    chainType: this.chainType,
+                    accuracy: this.getAccuracy()
+                },
+                bossWeakPoint: this.boss ? this.getBossWeakPoint(this.boss) : null,
+                intermission: this.isInIntermission() ? {
+                    clearedLevel: this.levelIndex + 1,
+                    clearedName: this.getCurrentLevel().name,
+                    nextName: this.levels[this.levelIndex + 1].name
+                } : null
             };
-            window.display.render(gameState);
+            this.renderer.render(gameState);
         }
     }
 
@@ -765,15 +2002,16 @@ class PipelineDefenderGame {
     destroy() {
         this.isRunning = false;
 
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-        }
-
-        if (window.display) {
-            window.display.clearGameObjects();
+        if (this.renderer) {
+            this.renderer.clearGameObjects();
         }
     }
 }
 
-// Make PipelineDefenderGame available globally
-window.PipelineDefenderGame = PipelineDefenderGame;
\ No newline at end of file
+// Make PipelineDefenderGame available globally (browser) and as a CommonJS module (Node)
+if (typeof window !== 'undefined') {
+    window.PipelineDefenderGame = PipelineDefenderGame;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PipelineDefenderGame;
+}
\ No newline at end of file
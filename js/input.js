@@ -1,15 +1,58 @@
 /**
  * Pipeline Defender - Input Handler
- * Manages keyboard input only - spacebar to shoot, arrows/WASD to move
+ * Keyboard, gamepad and touch input - the bound fire key (spacebar by default), a face button or
+ * the on-screen FIRE button to shoot, the bound movement keys (arrows/WASD by default), d-pad,
+ * analogue stick or the on-screen joystick to move
+ *
+ * Keyboard actions are looked up through KeyBindings, so players can remap them.
+ * Gamepads have no input events, so a connected controller is polled once per animation frame.
+ * Button indices follow the browser's "standard" mapping, which arcade sticks report too.
+ * The touch controls are only shown once the device reports a touch screen or a finger touches it.
  */
 
+const GAMEPAD_BUTTONS = {
+    fire: [0, 1, 2, 3], // A/B/X/Y (cross/circle/square/triangle)
+    confirm: 0,
+    back: 1,
+    select: 8,
+    start: 9,
+    up: 12,
+    down: 13,
+    left: 14,
+    right: 15
+};
+
 class InputHandler {
     constructor() {
         this.keys = {};
-        this.lastShot = 0;
-        this.fireRate = 500; // Milliseconds between shots - forces strategic aiming
+        this.bindings = new KeyBindings(); // loads any saved remapping
+        // Fire rate is per weapon and enforced by the game - holding the fire key keeps firing
+
+        this.stickConfig = {
+            deadzone: 0.25, // stick travel ignored around the centre (gamepad and on-screen joystick)
+            steps: 4, // analogue speeds between still and full speed
+            menuThreshold: 0.5 // gamepad stick travel that counts as a menu move
+        };
+        this.gamepad = {
+            index: null, // controller being polled
+            direction: 0,
+            shooting: false,
+            buttons: [], // button states on the previous poll, for press detection
+            menuAxis: 0 // stick direction that last moved the menu focus
+        };
+        this.gamepadPollId = null;
+        this.pollGamepad = this.pollGamepad.bind(this);
+
+        this.touch = {
+            enabled: false, // on-screen controls shown
+            direction: 0,
+            shooting: false,
+            joystickPointer: null, // pointer id dragging the joystick
+            firePointer: null // pointer id holding the fire button
+        };
 
         this.setupEventListeners();
+        this.setupTouchControls();
     }
 
     setupEventListeners() {
@@ -17,9 +60,11 @@ class InputHandler {
         document.addEventListener('keydown', (e) => this.handleKeyDown(e));
         document.addEventListener('keyup', (e) => this.handleKeyUp(e));
 
-        // Prevent default behavior for game keys
+        // Prevent default behavior for game keys (and anything bound to an action while playing)
         document.addEventListener('keydown', (e) => {
-            if (['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', ' ', 'Space'].includes(e.key)) {
+            const inGame = window.screens && window.screens.isGameActive();
+            if (['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', ' ', 'Space'].includes(e.key) ||
+                (inGame && this.bindings.getAction(e.code))) {
                 e.preventDefault();
             }
         });
@@ -27,6 +72,10 @@ class InputHandler {
         // Focus management
         window.addEventListener('focus', () => this.handleWindowFocus());
         window.addEventListener('blur', () => this.handleWindowBlur());
+
+        // Controllers - only polled while one is connected
+        window.addEventListener('gamepadconnected', (e) => this.handleGamepadConnected(e));
+        window.addEventListener('gamepaddisconnected', (e) => this.handleGamepadDisconnected(e));
     }
 
     // Keyboard Input Handling
@@ -39,17 +88,9 @@ class InputHandler {
         this.keys[e.key] = true;
         this.keys[e.code] = true;
 
-        // Immediate actions
-        switch (e.key) {
-            case ' ':
-            case 'Spacebar':
-                this.tryShoot('spacebar');
-                break;
-            case 'Escape':
-                if (window.game) {
-                    window.game.togglePause();
-                }
-                break;
+        // Immediate actions - the pause key belongs to the ScreenManager, which runs the pause menu
+        if (this.bindings.getAction(e.code) === 'fire') {
+            this.tryShoot('keyboard');
         }
     }
 
@@ -67,6 +108,7 @@ class InputHandler {
     handleWindowBlur() {
         // Clear all keys when window loses focus
         this.keys = {};
+        this.resetTouchState();
 
         // Pause game if active
         if (window.game && window.screens && window.screens.isGameActive()) {
@@ -74,17 +116,266 @@ class InputHandler {
         }
     }
 
+    // Gamepad Handling
+    handleGamepadConnected(e) {
+        if (this.gamepad.index === null) {
+            this.gamepad.index = e.gamepad.index;
+            this.gamepad.buttons = [];
+        }
+
+        if (this.gamepadPollId === null) {
+            this.gamepadPollId = requestAnimationFrame(this.pollGamepad);
+        }
+    }
+
+    handleGamepadDisconnected(e) {
+        if (e.gamepad.index !== this.gamepad.index) return;
+
+        // Fall back to any other connected controller
+        const remaining = Array.from(navigator.getGamepads()).find(pad => pad && pad.index !== e.gamepad.index);
+        this.gamepad.index = remaining ? remaining.index : null;
+        this.gamepad.buttons = [];
+        this.resetGamepadState();
+
+        if (this.gamepad.index === null && this.gamepadPollId !== null) {
+            cancelAnimationFrame(this.gamepadPollId);
+            this.gamepadPollId = null;
+        }
+
+        // Pause rather than let the run carry on without its controller
+        if (window.game && window.screens && window.screens.isGameActive()) {
+            window.game.autoPause();
+        }
+    }
+
+    pollGamepad() {
+        this.gamepadPollId = requestAnimationFrame(this.pollGamepad);
+
+        const pad = navigator.getGamepads()[this.gamepad.index];
+        if (!pad) return;
+
+        if (window.screens && window.screens.isGameActive() && !(window.game && window.game.isPaused)) {
+            this.pollGamepadGameplay(pad);
+        } else if (window.screens && window.screens.isGameActive() &&
+            this.wasGamepadButtonPressed(pad, GAMEPAD_BUTTONS.start)) {
+            // Start resumes from the pause menu, like it paused
+            this.resetGamepadState();
+            window.game.togglePause();
+        } else {
+            this.resetGamepadState();
+            this.pollGamepadMenus(pad);
+        }
+
+        for (let i = 0; i < pad.buttons.length; i++) {
+            this.gamepad.buttons[i] = pad.buttons[i].pressed;
+        }
+    }
+
+    pollGamepadGameplay(pad) {
+        if (this.isGamepadButtonDown(pad, GAMEPAD_BUTTONS.left)) {
+            this.gamepad.direction = -1;
+        } else if (this.isGamepadButtonDown(pad, GAMEPAD_BUTTONS.right)) {
+            this.gamepad.direction = 1;
+        } else {
+            this.gamepad.direction = this.readStick(pad.axes[0] || 0);
+        }
+
+        let shooting = false;
+        let fired = false;
+        GAMEPAD_BUTTONS.fire.forEach(button => {
+            shooting = shooting || this.isGamepadButtonDown(pad, button);
+            fired = fired || this.wasGamepadButtonPressed(pad, button);
+        });
+        this.gamepad.shooting = shooting;
+
+        if (fired) {
+            this.tryShoot('gamepad');
+        }
+
+        if (this.wasGamepadButtonPressed(pad, GAMEPAD_BUTTONS.start) && window.game) {
+            window.game.togglePause();
+        }
+    }
+
+    // Menus reuse the keyboard navigation: d-pad/stick move focus, A/Start select, B/Select go back
+    pollGamepadMenus(pad) {
+        if (!window.screens) return;
+
+        if (this.wasGamepadButtonPressed(pad, GAMEPAD_BUTTONS.confirm) ||
+            this.wasGamepadButtonPressed(pad, GAMEPAD_BUTTONS.start)) {
+            window.screens.handleGamepadNavigation('Enter');
+            return;
+        }
+
+        if (this.wasGamepadButtonPressed(pad, GAMEPAD_BUTTONS.back) ||
+            this.wasGamepadButtonPressed(pad, GAMEPAD_BUTTONS.select)) {
+            window.screens.handleGamepadNavigation('Escape');
+            return;
+        }
+
+        // Only move again once the stick has been let back towards the centre
+        const x = pad.axes[0] || 0;
+        const y = pad.axes[1] || 0;
+        const axis = Math.abs(y) >= Math.abs(x) ? y : x;
+        const stick = Math.abs(axis) >= this.stickConfig.menuThreshold ? Math.sign(axis) : 0;
+        const stickMoved = stick !== 0 && stick !== this.gamepad.menuAxis;
+        this.gamepad.menuAxis = stick;
+
+        if (this.wasGamepadButtonPressed(pad, GAMEPAD_BUTTONS.up) ||
+            this.wasGamepadButtonPressed(pad, GAMEPAD_BUTTONS.left) ||
+            (stickMoved && stick < 0)) {
+            window.screens.handleGamepadNavigation('Tab', true);
+        } else if (this.wasGamepadButtonPressed(pad, GAMEPAD_BUTTONS.down) ||
+            this.wasGamepadButtonPressed(pad, GAMEPAD_BUTTONS.right) ||
+            (stickMoved && stick > 0)) {
+            window.screens.handleGamepadNavigation('Tab');
+        }
+    }
+
+    isGamepadButtonDown(pad, index) {
+        return !!(pad.buttons[index] && pad.buttons[index].pressed);
+    }
+
+    // Pressed on this poll but not the previous one
+    wasGamepadButtonPressed(pad, index) {
+        return this.isGamepadButtonDown(pad, index) && !this.gamepad.buttons[index];
+    }
+
+    // Stick position to a movement direction: rescaled past the deadzone and snapped to a few
+    // speeds, so replay recordings don't log every tiny wobble of the stick
+    readStick(value) {
+        const { deadzone, steps } = this.stickConfig;
+        const magnitude = Math.abs(value);
+        if (magnitude < deadzone) return 0;
+
+        const scaled = Math.min((magnitude - deadzone) / (1 - deadzone), 1);
+        return Math.sign(value) * Math.ceil(scaled * steps) / steps;
+    }
+
+    resetGamepadState() {
+        this.gamepad.direction = 0;
+        this.gamepad.shooting = false;
+    }
+
+    // Touch Handling
+    setupTouchControls() {
+        this.touchControls = document.getElementById('touch-controls');
+        if (!this.touchControls) return;
+
+        this.joystick = document.getElementById('touch-joystick');
+        this.joystickKnob = this.joystick.querySelector('.touch-joystick-knob');
+        const fireButton = document.getElementById('touch-fire-btn');
+        const pauseButton = document.getElementById('touch-pause-btn');
+
+        if ('ontouchstart' in window || navigator.maxTouchPoints > 0) {
+            this.enableTouchControls();
+        }
+        // Touch laptops may not report a touch screen up front - switch over on the first touch
+        window.addEventListener('pointerdown', (e) => {
+            if (e.pointerType === 'touch') {
+                this.enableTouchControls();
+            }
+        });
+
+        this.joystick.addEventListener('pointerdown', (e) => this.handleJoystickStart(e));
+        this.joystick.addEventListener('pointermove', (e) => this.handleJoystickMove(e));
+        ['pointerup', 'pointercancel'].forEach(type => {
+            this.joystick.addEventListener(type, (e) => this.handleJoystickEnd(e));
+        });
+
+        fireButton.addEventListener('pointerdown', (e) => this.handleFireStart(e));
+        ['pointerup', 'pointercancel', 'pointerleave'].forEach(type => {
+            fireButton.addEventListener(type, (e) => this.handleFireEnd(e));
+        });
+
+        pauseButton.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            if (window.game && window.screens && window.screens.isGameActive()) {
+                window.game.togglePause();
+                this.vibrate([15]);
+            }
+        });
+
+        // Long presses would otherwise open the context menu on the controls
+        this.touchControls.addEventListener('contextmenu', (e) => e.preventDefault());
+    }
+
+    enableTouchControls() {
+        if (this.touch.enabled) return;
+
+        this.touch.enabled = true;
+        document.body.classList.add('touch-enabled');
+    }
+
+    handleJoystickStart(e) {
+        if (!window.screens || !window.screens.isGameActive() || this.touch.joystickPointer !== null) return;
+
+        e.preventDefault();
+        this.touch.joystickPointer = e.pointerId;
+        this.joystick.setPointerCapture(e.pointerId);
+        this.handleJoystickMove(e);
+    }
+
+    handleJoystickMove(e) {
+        if (e.pointerId !== this.touch.joystickPointer) return;
+
+        // Horizontal distance from the pad's centre, as a fraction of its radius
+        const rect = this.joystick.getBoundingClientRect();
+        const radius = rect.width / 2;
+        const offset = Math.max(-radius, Math.min(radius, e.clientX - (rect.left + radius)));
+
+        this.touch.direction = this.readStick(offset / radius);
+        this.joystickKnob.style.transform = `translateX(${offset}px)`;
+    }
+
+    handleJoystickEnd(e) {
+        if (e.pointerId !== this.touch.joystickPointer) return;
+
+        this.touch.joystickPointer = null;
+        this.touch.direction = 0;
+        this.joystickKnob.style.transform = '';
+    }
+
+    handleFireStart(e) {
+        if (!window.screens || !window.screens.isGameActive()) return;
+
+        e.preventDefault();
+        this.touch.firePointer = e.pointerId;
+        this.touch.shooting = true;
+        this.tryShoot('touch');
+    }
+
+    handleFireEnd(e) {
+        if (e.pointerId !== this.touch.firePointer) return;
+
+        this.touch.firePointer = null;
+        this.touch.shooting = false;
+    }
+
+    resetTouchState() {
+        this.touch.direction = 0;
+        this.touch.shooting = false;
+        this.touch.joystickPointer = null;
+        this.touch.firePointer = null;
+        if (this.joystickKnob) {
+            this.joystickKnob.style.transform = '';
+        }
+    }
+
+    /**
+     * Haptic feedback through the Vibration API - only on touch devices, where it can be felt
+     * @param {number|number[]} pattern - vibration and pause lengths in milliseconds
+     */
+    vibrate(pattern) {
+        if (this.touch.enabled && typeof navigator.vibrate === 'function') {
+            navigator.vibrate(pattern);
+        }
+    }
+
     // Input Actions
     tryShoot(source = 'unknown') {
-        const now = Date.now();
-        if (now - this.lastShot > this.fireRate) {
-            if (window.game) {
-                console.error('SHOOT TRIGGERED BY:', source);
-                window.game.shoot();
-            }
-            this.lastShot = now;
-        } else {
-            console.error('SHOOT BLOCKED (rate limit) - triggered by:', source);
+        if (window.game) {
+            window.game.shoot();
         }
     }
 
@@ -93,39 +384,40 @@ class InputHandler {
         return !!this.keys[key];
     }
 
+    // Any key bound to the action is held down
+    isActionPressed(action) {
+        return this.bindings.getKeys(action).some(code => this.isPressed(code));
+    }
+
     isMovingLeft() {
-        return this.isPressed('ArrowLeft') ||
-               this.isPressed('KeyA') ||
-               this.isPressed('a') ||
-               this.isPressed('A');
+        return this.isActionPressed('left');
     }
 
     isMovingRight() {
-        return this.isPressed('ArrowRight') ||
-               this.isPressed('KeyD') ||
-               this.isPressed('d') ||
-               this.isPressed('D');
+        return this.isActionPressed('right');
     }
 
     isShooting() {
-        return this.isPressed(' ') ||
-               this.isPressed('Space') ||
-               this.isPressed('Spacebar');
+        return this.isActionPressed('fire') ||
+               this.gamepad.shooting ||
+               this.touch.shooting;
     }
 
+    // -1..1 - the keyboard wins, then the gamepad, then the on-screen joystick (sticks may give partial speeds)
     getMovementDirection() {
         let direction = 0;
 
         if (this.isMovingLeft()) direction -= 1;
         if (this.isMovingRight()) direction += 1;
 
-        return direction;
+        return direction || this.gamepad.direction || this.touch.direction;
     }
 
     // Reset input state (called when starting new game)
     reset() {
         this.keys = {};
-        this.lastShot = 0;
+        this.resetGamepadState();
+        this.resetTouchState();
     }
 
     // Cleanup
@@ -134,6 +426,11 @@ class InputHandler {
         document.removeEventListener('keyup', this.handleKeyUp);
         window.removeEventListener('focus', this.handleWindowFocus);
         window.removeEventListener('blur', this.handleWindowBlur);
+
+        if (this.gamepadPollId !== null) {
+            cancelAnimationFrame(this.gamepadPollId);
+            this.gamepadPollId = null;
+        }
     }
 }
 
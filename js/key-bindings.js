@@ -0,0 +1,168 @@
+/**
+ * Pipeline Defender - Key Bindings
+ * Which keys trigger each keyboard action, persisted to localStorage
+ *
+ * Keys are KeyboardEvent.code values (physical keys), so bindings keep working whatever
+ * the keyboard layout. Every action has up to two keys; a key can only belong to one action.
+ * Tab, Enter and Escape drive menu navigation and can't be captured as new bindings. An action
+ * with a fixed key (Escape for pause) always answers to it on top of its bindings, so it may
+ * have none of its own.
+ */
+
+const KEY_BINDING_ACTIONS = {
+    left: { label: 'MOVE LEFT', defaults: ['ArrowLeft', 'KeyA'] },
+    right: { label: 'MOVE RIGHT', defaults: ['ArrowRight', 'KeyD'] },
+    fire: { label: 'FIRE', defaults: ['Space'] },
+    pause: { label: 'PAUSE', fixed: 'Escape', defaults: [] }
+};
+
+const RESERVED_KEYS = ['Tab', 'Enter', 'NumpadEnter', 'Escape'];
+
+const KEY_LABELS = {
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    Space: 'SPACE',
+    Escape: 'ESC'
+};
+
+class KeyBindings {
+    constructor() {
+        this.STORAGE_KEY = 'pipelineDefenderKeyBindings';
+        this.SLOTS = 2; // keys per action
+
+        this.bindings = KeyBindings.defaults();
+        this.load();
+    }
+
+    static defaults() {
+        const bindings = {};
+        Object.entries(KEY_BINDING_ACTIONS).forEach(([action, definition]) => {
+            bindings[action] = definition.defaults.slice();
+        });
+        return bindings;
+    }
+
+    // Human-readable name of a key code - 'KeyA' -> 'A', 'ArrowLeft' -> '←'
+    static describeKey(code) {
+        if (!code) return '—';
+        if (KEY_LABELS[code]) return KEY_LABELS[code];
+        if (/^(Key|Digit)./.test(code)) return code.replace(/^(Key|Digit)/, '');
+        return code.toUpperCase();
+    }
+
+    load() {
+        try {
+            const stored = localStorage.getItem(this.STORAGE_KEY);
+            if (!stored) return;
+
+            const parsed = JSON.parse(stored);
+            const bindings = KeyBindings.defaults();
+            Object.keys(bindings).forEach(action => {
+                const keys = parsed[action];
+                if (!Array.isArray(keys) || !keys.every(key => typeof key === 'string')) return;
+
+                // Older saves bound Escape to pause - it is the fixed pause key now, not a binding
+                const bound = keys.filter(key => !RESERVED_KEYS.includes(key)).slice(0, this.SLOTS);
+                if (bound.length > 0 || KEY_BINDING_ACTIONS[action].fixed) {
+                    bindings[action] = bound;
+                }
+            });
+
+            // A hand-edited or outdated save could bind one key twice - don't guess which one wins
+            const allKeys = Object.values(bindings).flat();
+            if (new Set(allKeys).size !== allKeys.length) {
+                console.warn('Conflicting saved key bindings, using defaults');
+                return;
+            }
+
+            this.bindings = bindings;
+        } catch (error) {
+            console.error('Error loading key bindings:', error);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.bindings));
+        } catch (error) {
+            console.error('Error saving key bindings:', error);
+        }
+    }
+
+    getKeys(action) {
+        return this.bindings[action] || [];
+    }
+
+    // Bound keys plus the action's fixed key, if it has one - for showing the player
+    getAllKeys(action) {
+        const fixed = KEY_BINDING_ACTIONS[action] && KEY_BINDING_ACTIONS[action].fixed;
+        return fixed ? [fixed, ...this.getKeys(action)] : this.getKeys(action);
+    }
+
+    // The action a key is bound to, or null
+    getAction(code) {
+        return Object.keys(this.bindings).find(action => this.bindings[action].includes(code)) || null;
+    }
+
+    /**
+     * Bind a key to one of an action's slots
+     * @param {string} action - key in KEY_BINDING_ACTIONS
+     * @param {number} slot - 0 for the primary key, 1 for the alternate
+     * @param {string} code - KeyboardEvent.code
+     * @returns {{ok: boolean, error?: string}} - error explains why the key was refused
+     */
+    bind(action, slot, code) {
+        if (!KEY_BINDING_ACTIONS[action] || slot < 0 || slot >= this.SLOTS) {
+            return { ok: false, error: `Unknown binding ${action}/${slot}` };
+        }
+
+        if (RESERVED_KEYS.includes(code)) {
+            return { ok: false, error: `${KeyBindings.describeKey(code)} is reserved for menu navigation` };
+        }
+
+        const keys = this.bindings[action];
+        const owner = this.getAction(code);
+        if (owner && !(owner === action && keys[slot] === code)) {
+            return {
+                ok: false,
+                error: `${KeyBindings.describeKey(code)} is already bound to ${KEY_BINDING_ACTIONS[owner].label}`
+            };
+        }
+
+        // Filling the alternate of an action with one key appends rather than leaving a gap
+        keys[Math.min(slot, keys.length)] = code;
+        this.save();
+        return { ok: true };
+    }
+
+    // Remove a key from an action - every action keeps at least one key, counting its fixed key
+    unbind(action, slot) {
+        const keys = this.bindings[action];
+        if (!keys || !keys[slot]) {
+            return { ok: false, error: 'Nothing bound there' };
+        }
+        if (keys.length <= 1 && !KEY_BINDING_ACTIONS[action].fixed) {
+            return { ok: false, error: `${KEY_BINDING_ACTIONS[action].label} needs at least one key` };
+        }
+
+        keys.splice(slot, 1);
+        this.save();
+        return { ok: true };
+    }
+
+    resetToDefaults() {
+        this.bindings = KeyBindings.defaults();
+        this.save();
+    }
+}
+
+// Make the bindings available globally (browser) and as a CommonJS module (Node)
+if (typeof window !== 'undefined') {
+    window.KeyBindings = KeyBindings;
+    window.KEY_BINDING_ACTIONS = KEY_BINDING_ACTIONS;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { KeyBindings, KEY_BINDING_ACTIONS };
+}
\ No newline at end of file
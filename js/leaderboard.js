@@ -1,16 +1,121 @@
 /**
  * Pipeline Defender - Leaderboard System
  * Handles score persistence, statistics, and leaderboard display
+ *
+ * Scores are stored as { schemaVersion, entries }. Older saves (and imports) are brought up to date
+ * by running LEADERBOARD_MIGRATIONS in order, then every entry is validated - anything that still
+ * doesn't fit the schema is moved to a quarantine list in localStorage rather than deleted, so a
+ * bad record (or an unreadable save) never costs the player the rest of their scores.
+ *
+ * Where IndexedDB is available every run is kept in the RunHistory with its complete game result,
+ * and the leaderboard is the whole history - top scores are a query over it. Scores saved in
+ * localStorage by earlier versions move into the history on the first load. Without IndexedDB the
+ * best MAX_ENTRIES scores per difficulty stay in localStorage as before.
  */
 
+const LEADERBOARD_SCHEMA_VERSION = 3;
+
+// Ordered schema migrations - each step upgrades an entry saved at the previous schema version.
+// Saves from before versioning (a bare array of entries) are schema 0. Values that were never
+// recorded stay null rather than being made up
+const LEADERBOARD_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Timestamp, completion flag, run time and per-type kills on every entry',
+        migrate(entry) {
+            return {
+                ...entry,
+                timestamp: entry.timestamp !== undefined ? entry.timestamp : null,
+                date: entry.date || (entry.timestamp ? new Date(entry.timestamp).toLocaleDateString() : null),
+                // Before stages existed, securing the pipeline meant collecting all four power-ups
+                pipelineComplete: entry.pipelineComplete !== undefined ? entry.pipelineComplete : entry.powerupsCollected === 4,
+                timeTaken: entry.timeTaken !== undefined ? entry.timeTaken : null,
+                bugStats: entry.bugStats || {}
+            };
+        }
+    },
+    {
+        version: 2,
+        description: 'Peak combo and accuracy (combo scoring)',
+        migrate(entry) {
+            return {
+                ...entry,
+                peakCombo: entry.peakCombo !== undefined ? entry.peakCombo : null,
+                accuracy: entry.accuracy !== undefined ? entry.accuracy : null
+            };
+        }
+    },
+    {
+        version: 3,
+        description: 'Difficulty preset',
+        migrate(entry) {
+            // Runs from before difficulty presets used the standard tuning
+            return { ...entry, difficulty: entry.difficulty || DEFAULT_DIFFICULTY };
+        }
+    }
+];
+
+const isCount = value => Number.isFinite(value) && value >= 0;
+const isCountOrNull = value => value === null || isCount(value);
+
+const LEADERBOARD_PAGE_SIZE = 10;
+const ALL_DIFFICULTIES = 'all'; // difficulty filter showing every preset
+
+// Orders the leaderboard can be sorted in - highest first, runs that never recorded the value last
+const LEADERBOARD_SORTS = {
+    score: { label: 'SCORE', value: entry => entry.score },
+    bugsKilled: { label: 'BUGS KILLED', value: entry => entry.bugsKilled },
+    accuracy: { label: 'ACCURACY', value: entry => entry.accuracy },
+    date: { label: 'DATE', value: entry => entry.timestamp }
+};
+
+// Date ranges - start(now) is the earliest timestamp included, null for no limit
+const LEADERBOARD_PERIODS = {
+    all: { label: 'ALL TIME', start: () => null },
+    today: { label: 'TODAY', start: now => new Date(now).setHours(0, 0, 0, 0) },
+    week: {
+        label: 'THIS WEEK',
+        start: now => {
+            // Weeks start on Monday
+            const date = new Date(now);
+            date.setDate(date.getDate() - (date.getDay() + 6) % 7);
+            return date.setHours(0, 0, 0, 0);
+        }
+    }
+};
+
+// The option after `current` in a list, wrapping round
+const nextOption = (options, current) => options[(options.indexOf(current) + 1) % options.length];
+
 class LeaderboardManager {
     constructor() {
         this.LEADERBOARD_KEY = 'pipelineDefenderLeaderboard';
         this.STATS_KEY = 'pipelineDefenderStats';
-        this.MAX_ENTRIES = 50; // Maximum number of leaderboard entries to store
+        this.QUARANTINE_KEY = 'pipelineDefenderLeaderboardQuarantine';
+        this.MAX_ENTRIES = 50; // entries kept per difficulty when scores have to live in localStorage
+        this.MAX_QUARANTINED = 100; // oldest quarantined records are dropped past this
+
+        // Leaderboard screen view
+        this.difficultyFilter = null; // difficulty shown (null = the selected one, or ALL_DIFFICULTIES)
+        this.playerFilter = null; // player name, null = everyone
+        this.periodFilter = 'all'; // key in LEADERBOARD_PERIODS
+        this.securedOnly = false; // only runs that secured the pipeline
+        this.sortBy = 'score'; // key in LEADERBOARD_SORTS
+        this.page = 0;
 
         this.leaderboard = [];
-        this.stats = {
+        this.stats = LeaderboardManager.defaultStats();
+        this.statsStale = false; // stats couldn't be read - rebuild them once the history has loaded
+        this.history = RunHistory.isSupported() ? new RunHistory() : null;
+
+        this.loadData();
+        if (this.history) {
+            this.loadHistory(this.leaderboard.slice());
+        }
+    }
+
+    static defaultStats() {
+        return {
             totalGames: 0,
             successfulCompletions: 0,
             totalScore: 0,
@@ -18,51 +123,207 @@ class LeaderboardManager {
             bestTime: null,
             totalPlayTime: 0
         };
+    }
 
-        this.loadData();
+    // Why an entry doesn't match the current schema, or null if it does
+    static validateEntry(entry) {
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return 'Not an object';
+        if (typeof entry.name !== 'string' || !entry.name.trim()) return 'Missing player name';
+        if (!isCount(entry.score)) return `Invalid score: ${entry.score}`;
+        if (!isCount(entry.bugsKilled)) return `Invalid bugsKilled: ${entry.bugsKilled}`;
+        if (!isCount(entry.powerupsCollected)) return `Invalid powerupsCollected: ${entry.powerupsCollected}`;
+        if (!isCountOrNull(entry.timeTaken)) return `Invalid timeTaken: ${entry.timeTaken}`;
+        if (!isCountOrNull(entry.peakCombo)) return `Invalid peakCombo: ${entry.peakCombo}`;
+        if (!isCountOrNull(entry.accuracy)) return `Invalid accuracy: ${entry.accuracy}`;
+        if (!isCountOrNull(entry.timestamp)) return `Invalid timestamp: ${entry.timestamp}`;
+        if (typeof entry.pipelineComplete !== 'boolean') return `Invalid pipelineComplete: ${entry.pipelineComplete}`;
+        if (!entry.bugStats || typeof entry.bugStats !== 'object') return 'Missing bugStats';
+        if (!DIFFICULTY_PRESETS[entry.difficulty]) return `Unknown difficulty: ${entry.difficulty}`;
+        return null;
+    }
+
+    /**
+     * Bring stored or imported records up to the current schema
+     * @param {Array} records - entries as saved
+     * @param {number} fromVersion - schema they were saved at (0 = before versioning)
+     * @returns {{entries: Object[], rejected: {record: *, reason: string}[]}} - rejected records are
+     *          returned as they were found, for quarantine
+     */
+    static migrateEntries(records, fromVersion) {
+        const steps = LEADERBOARD_MIGRATIONS.filter(step => step.version > fromVersion);
+        const entries = [];
+        const rejected = [];
+
+        records.forEach(record => {
+            let entry = record;
+            // Migrations can only run on objects
+            let reason = record && typeof record === 'object' && !Array.isArray(record) ? null : 'Not an object';
+            if (!reason) {
+                try {
+                    entry = steps.reduce((migrated, step) => step.migrate(migrated), record);
+                    reason = LeaderboardManager.validateEntry(entry);
+                } catch (error) {
+                    reason = `Migration failed: ${error.message}`;
+                }
+            }
+
+            if (reason) {
+                rejected.push({ record, reason });
+            } else {
+                entries.push(entry);
+            }
+        });
+
+        return { entries, rejected };
+    }
+
+    // Imported and migrated scores are only added if the same run isn't already on the board
+    static isSameRun(a, b) {
+        return a.name === b.name && a.score === b.score && a.timestamp === b.timestamp;
     }
 
     loadData() {
+        this.leaderboard = this.loadEntries();
+        this.stats = this.loadStats();
+    }
+
+    /**
+     * Replace the localStorage scores with the full run history, moving them into it first
+     * @param {Object[]} legacyEntries - scores loaded from localStorage
+     */
+    async loadHistory(legacyEntries) {
         try {
-            const storedLeaderboard = localStorage.getItem(this.LEADERBOARD_KEY);
-            const storedStats = localStorage.getItem(this.STATS_KEY);
-
-            this.leaderboard = storedLeaderboard ? JSON.parse(storedLeaderboard) : [];
-            this.stats = storedStats ? JSON.parse(storedStats) : {
-                totalGames: 0,
-                successfulCompletions: 0,
-                totalScore: 0,
-                averageScore: 0,
-                bestTime: null,
-                totalPlayTime: 0
-            };
+            const { entries, rejected } = this.readHistory(await this.history.getAllEntries());
+            if (rejected.length > 0) {
+                // The quarantined record keeps its id, and the run's full result stays in the history under it
+                console.warn(`Quarantined ${rejected.length} malformed runs from the run history`);
+                this.quarantine(rejected);
+                await this.history.removeEntries(rejected.map(({ record }) => record.id));
+            }
+
+            // Skipping runs already in the history makes this safe to repeat if the page closed part-way
+            const migrated = legacyEntries
+                .filter(entry => !entries.some(existing => LeaderboardManager.isSameRun(existing, entry)))
+                .map(entry => ({ ...entry }));
+            if (migrated.length > 0) {
+                const ids = await this.history.addEntries(migrated.map(entry => this.toHistoryRecord(entry)));
+                migrated.forEach((entry, index) => { entry.id = ids[index]; });
+            }
+            if (legacyEntries.length > 0) {
+                localStorage.removeItem(this.LEADERBOARD_KEY);
+            }
 
-            // Migrate old data if necessary
-            this.migrateOldData();
+            // Runs submitted while the history was opening may or may not be in it already
+            const submitted = this.leaderboard.filter(entry => !legacyEntries.includes(entry) &&
+                !entries.some(existing => LeaderboardManager.isSameRun(existing, entry)));
 
+            this.leaderboard = [...entries, ...migrated, ...submitted];
         } catch (error) {
-            console.error('Error loading leaderboard data:', error);
-            this.resetData();
+            // Keep going on localStorage - write out anything submitted in the meantime
+            console.error('Run history unavailable, keeping scores in localStorage:', error);
+            this.history = null;
+            this.saveData();
+        }
+
+        if (this.statsStale) {
+            this.recalculateStats();
+            this.statsStale = false;
+            this.saveData();
+        }
+
+        if (window.screens && window.screens.currentScreen && window.screens.currentScreen.id === 'leaderboard-screen') {
+            this.displayLeaderboard();
         }
     }
 
-    migrateOldData() {
-        // Check for old data format and migrate if necessary
-        this.leaderboard = this.leaderboard.map(entry => {
-            if (!entry.timestamp) {
-                entry.timestamp = Date.now();
-            }
-            if (entry.pipelineComplete === undefined) {
-                // For legacy entries, use power-up collection as success indicator
-                entry.pipelineComplete = entry.powerupsCollected === 4;
-            }
-            if (!entry.timeTaken) {
-                entry.timeTaken = 90;
-            }
-            return entry;
+    // History records carry their own schema version, so each one migrates from where it was saved
+    readHistory(records) {
+        const entries = [];
+        const rejected = [];
+
+        records.forEach(record => {
+            const { schemaVersion, ...entry } = record;
+            const migrated = LeaderboardManager.migrateEntries([entry], schemaVersion || 0);
+            entries.push(...migrated.entries);
+            rejected.push(...migrated.rejected.map(({ reason }) => ({ record, reason })));
         });
 
-        this.saveData();
+        return { entries, rejected };
+    }
+
+    toHistoryRecord(entry) {
+        return { ...entry, schemaVersion: LEADERBOARD_SCHEMA_VERSION };
+    }
+
+    loadEntries() {
+        let stored;
+        try {
+            stored = localStorage.getItem(this.LEADERBOARD_KEY);
+        } catch (error) {
+            console.error('Error loading leaderboard data:', error);
+            return [];
+        }
+        if (!stored) return [];
+
+        let saved;
+        try {
+            saved = this.readSavedEntries(JSON.parse(stored));
+        } catch (error) {
+            // Don't wipe scores we can't read - set the raw save aside and start a fresh board
+            console.error('Error loading leaderboard data:', error);
+            this.quarantine([{ record: stored, reason: `Unreadable leaderboard save: ${error.message}` }]);
+            this.writeEntries([]);
+            return [];
+        }
+
+        const { entries, rejected } = LeaderboardManager.migrateEntries(saved.entries, saved.schemaVersion);
+        if (rejected.length > 0) {
+            console.warn(`Quarantined ${rejected.length} malformed leaderboard entries`);
+            this.quarantine(rejected);
+        }
+        if (saved.schemaVersion !== LEADERBOARD_SCHEMA_VERSION || rejected.length > 0) {
+            this.writeEntries(entries);
+        }
+        return entries;
+    }
+
+    // Schema version and entries of a parsed save - throws if it isn't one this version can read
+    readSavedEntries(data) {
+        if (Array.isArray(data)) {
+            return { schemaVersion: 0, entries: data };
+        }
+        if (!data || !Number.isInteger(data.schemaVersion) || !Array.isArray(data.entries)) {
+            throw new Error('Unrecognised leaderboard format');
+        }
+        if (data.schemaVersion > LEADERBOARD_SCHEMA_VERSION) {
+            throw new Error(`Leaderboard was saved by a newer version of the game (schema ${data.schemaVersion})`);
+        }
+        return data;
+    }
+
+    // Stats are derived data - if they can't be read they're rebuilt from the scores
+    loadStats() {
+        try {
+            const stored = localStorage.getItem(this.STATS_KEY);
+            const stats = stored ? JSON.parse(stored) : LeaderboardManager.defaultStats();
+            const valid = stats && Object.keys(LeaderboardManager.defaultStats()).every(key =>
+                key === 'bestTime' ? isCountOrNull(stats[key]) : isCount(stats[key]));
+            if (valid) return stats;
+
+            console.warn('Leaderboard stats are malformed, rebuilding them from the scores');
+        } catch (error) {
+            console.error('Error loading leaderboard stats, rebuilding them from the scores:', error);
+        }
+
+        // With a run history the full set of scores isn't loaded yet - rebuild again once it is
+        this.statsStale = !!this.history;
+        this.recalculateStats();
+        try {
+            localStorage.setItem(this.STATS_KEY, JSON.stringify(this.stats));
+        } catch (error) {
+            console.error('Error saving leaderboard stats:', error);
+        }
+        return this.stats;
     }
 
     saveData() {
@@ -70,12 +331,17 @@ class LeaderboardManager {
             // Sort leaderboard by score before saving
             this.leaderboard.sort((a, b) => b.score - a.score);
 
-            // Limit the number of entries
-            if (this.leaderboard.length > this.MAX_ENTRIES) {
-                this.leaderboard = this.leaderboard.slice(0, this.MAX_ENTRIES);
-            }
+            // The run history keeps every entry itself; localStorage only has room for the best ones -
+            // per difficulty, so a pile of Intern runs can't push out harder ones
+            if (!this.history) {
+                const kept = {};
+                this.leaderboard = this.leaderboard.filter(entry => {
+                    kept[entry.difficulty] = (kept[entry.difficulty] || 0) + 1;
+                    return kept[entry.difficulty] <= this.MAX_ENTRIES;
+                });
 
-            localStorage.setItem(this.LEADERBOARD_KEY, JSON.stringify(this.leaderboard));
+                this.writeEntries(this.leaderboard);
+            }
             localStorage.setItem(this.STATS_KEY, JSON.stringify(this.stats));
 
         } catch (error) {
@@ -83,6 +349,50 @@ class LeaderboardManager {
         }
     }
 
+    writeEntries(entries) {
+        try {
+            localStorage.setItem(this.LEADERBOARD_KEY, JSON.stringify({
+                schemaVersion: LEADERBOARD_SCHEMA_VERSION,
+                entries: entries
+            }));
+        } catch (error) {
+            console.error('Error saving leaderboard data:', error);
+        }
+    }
+
+    /**
+     * Set records that failed to load aside instead of deleting them
+     * @param {{record: *, reason: string}[]} rejected
+     */
+    quarantine(rejected) {
+        try {
+            const quarantined = this.getQuarantine();
+            rejected.forEach(({ record, reason }) => {
+                quarantined.push({ record, reason, quarantinedAt: Date.now() });
+            });
+
+            localStorage.setItem(this.QUARANTINE_KEY, JSON.stringify(quarantined.slice(-this.MAX_QUARANTINED)));
+        } catch (error) {
+            console.error('Error quarantining leaderboard data:', error);
+        }
+    }
+
+    // Records set aside by quarantine(), oldest first - { record, reason, quarantinedAt }
+    getQuarantine() {
+        try {
+            const stored = localStorage.getItem(this.QUARANTINE_KEY);
+            const quarantined = stored ? JSON.parse(stored) : [];
+            return Array.isArray(quarantined) ? quarantined : [];
+        } catch (error) {
+            console.error('Error reading quarantined leaderboard data:', error);
+            return [];
+        }
+    }
+
+    clearQuarantine() {
+        localStorage.removeItem(this.QUARANTINE_KEY);
+    }
+
     submitScore(playerName, gameResult) {
         const entry = {
             name: playerName,
@@ -92,6 +402,9 @@ class LeaderboardManager {
             powerupsCollected: gameResult.powerupsCollected,
             pipelineComplete: gameResult.success,
             bugStats: { ...gameResult.bugStats },
+            peakCombo: gameResult.peakCombo || 0,
+            accuracy: gameResult.accuracy || 0,
+            difficulty: gameResult.difficulty || DEFAULT_DIFFICULTY,
             timestamp: Date.now(),
             date: new Date().toLocaleDateString()
         };
@@ -100,9 +413,41 @@ class LeaderboardManager {
         this.updateStats(gameResult);
         this.saveData();
 
+        if (this.history) {
+            this.history.addRun(this.toHistoryRecord(entry), gameResult)
+                .then(id => { entry.id = id; })
+                .catch(error => console.error('Error saving run to history:', error));
+        }
+
         return entry;
     }
 
+    /**
+     * The complete game result of a leaderboard entry - stats, bosses, replay and all
+     * @returns {Promise<Object|null>} null for runs recorded before the history (or without IndexedDB)
+     */
+    getRunResult(entry) {
+        if (!this.history || entry.id === undefined) return Promise.resolve(null);
+        return this.history.getResult(entry.id);
+    }
+
+    // Play a past run back from its stored result, returning to the leaderboard afterwards
+    async watchRunReplay(entry) {
+        try {
+            const result = await this.getRunResult(entry);
+            if (!result || !result.replay) {
+                this.showMessage('No replay was kept for this run', 'error');
+                return;
+            }
+            if (window.screens) {
+                window.screens.watchReplay(result.replay, 'leaderboard-screen');
+            }
+        } catch (error) {
+            console.error('Error loading run replay:', error);
+            this.showMessage('Error loading replay', 'error');
+        }
+    }
+
     updateStats(gameResult) {
         this.stats.totalGames++;
         this.stats.totalScore += gameResult.score;
@@ -119,7 +464,123 @@ class LeaderboardManager {
         }
     }
 
-    displayLeaderboard() {
+    // The difficulty being shown - the player's selected one until they pick another
+    getDifficultyFilter() {
+        if (this.difficultyFilter) return this.difficultyFilter;
+        return (window.settings && window.settings.get('difficulty')) || DEFAULT_DIFFICULTY;
+    }
+
+    // Back to the default view - best scores by everyone at the selected difficulty
+    resetView() {
+        this.difficultyFilter = null;
+        this.playerFilter = null;
+        this.periodFilter = 'all';
+        this.securedOnly = false;
+        this.sortBy = 'score';
+        this.page = 0;
+    }
+
+    // Default view at the run's difficulty, on the page the run landed on
+    focusEntry(entry) {
+        this.resetView();
+        this.difficultyFilter = entry.difficulty;
+        const index = this.queryEntries(this.getQuery()).indexOf(entry);
+        this.page = Math.max(0, Math.floor(index / LEADERBOARD_PAGE_SIZE));
+    }
+
+    // Apply a change to the view and show it from the first page
+    changeView(changes) {
+        Object.assign(this, changes);
+        this.page = 0;
+        this.displayLeaderboard();
+    }
+
+    // Step the leaderboard screen to the next difficulty (then all of them)
+    cycleDifficultyFilter() {
+        const difficulties = [...Object.keys(DIFFICULTY_PRESETS), ALL_DIFFICULTIES];
+        this.changeView({ difficultyFilter: nextOption(difficulties, this.getDifficultyFilter()) });
+    }
+
+    cyclePlayerFilter() {
+        this.changeView({ playerFilter: nextOption([null, ...this.getPlayerNames()], this.playerFilter) });
+    }
+
+    cyclePeriodFilter() {
+        this.changeView({ periodFilter: nextOption(Object.keys(LEADERBOARD_PERIODS), this.periodFilter) });
+    }
+
+    toggleSecuredOnly() {
+        this.changeView({ securedOnly: !this.securedOnly });
+    }
+
+    cycleSort() {
+        this.changeView({ sortBy: nextOption(Object.keys(LEADERBOARD_SORTS), this.sortBy) });
+    }
+
+    // Move by `delta` pages - displayLeaderboard keeps the page in range
+    changePage(delta) {
+        this.page += delta;
+        this.displayLeaderboard();
+    }
+
+    // Everyone with a run on the board, alphabetically
+    getPlayerNames() {
+        return [...new Set(this.leaderboard.map(entry => entry.name.toUpperCase()))].sort();
+    }
+
+    // The leaderboard screen's filters and sort, for queryEntries
+    getQuery() {
+        const difficulty = this.getDifficultyFilter();
+        return {
+            player: this.playerFilter,
+            difficulty: difficulty === ALL_DIFFICULTIES ? null : difficulty,
+            period: this.periodFilter,
+            securedOnly: this.securedOnly,
+            sortBy: this.sortBy
+        };
+    }
+
+    /**
+     * Runs matching a set of filters, in order
+     * @param {Object} [query]
+     * @param {string} [query.player] - player name (any case), null for everyone
+     * @param {string} [query.difficulty] - key in DIFFICULTY_PRESETS, null for every difficulty
+     * @param {string} [query.period] - key in LEADERBOARD_PERIODS
+     * @param {boolean} [query.securedOnly] - only runs that secured the pipeline
+     * @param {string} [query.sortBy] - key in LEADERBOARD_SORTS - ties go to the higher score, then the earlier run
+     * @param {number} [now] - time the date range is counted back from
+     * @returns {Object[]}
+     */
+    queryEntries({ player = null, difficulty = null, period = 'all', securedOnly = false, sortBy = 'score' } = {}, now = Date.now()) {
+        const since = LEADERBOARD_PERIODS[period].start(now);
+        const sortValue = entry => {
+            const value = LEADERBOARD_SORTS[sortBy].value(entry);
+            return value === null || value === undefined ? -Infinity : value;
+        };
+
+        return (securedOnly ? this.getSuccessfulCompletions() : this.leaderboard.slice())
+            .filter(entry => !player || entry.name.toUpperCase() === player.toUpperCase())
+            .filter(entry => !difficulty || entry.difficulty === difficulty)
+            .filter(entry => since === null || (entry.timestamp !== null && entry.timestamp >= since))
+            .sort((a, b) => (sortValue(b) - sortValue(a)) || (b.score - a.score) || ((a.timestamp || 0) - (b.timestamp || 0)));
+    }
+
+    /**
+     * Show one page of the runs matching the leaderboard screen's filters
+     * @param {string} [difficulty] - key in DIFFICULTY_PRESETS or ALL_DIFFICULTIES (defaults to the one last shown or selected)
+     */
+    displayLeaderboard(difficulty) {
+        if (difficulty) {
+            this.difficultyFilter = difficulty;
+            this.page = 0;
+        }
+        // A reset or import can leave the filter on a player with no runs
+        if (this.playerFilter && !this.getPlayerNames().includes(this.playerFilter)) {
+            this.playerFilter = null;
+        }
+
+        this.updateFilterButtons();
+
         const leaderboardBody = document.querySelector('#leaderboard-list tbody');
         const totalGamesElement = document.getElementById('total-games-count');
         const successfulCompletionsElement = document.getElementById('successful-completions');
@@ -134,26 +595,53 @@ class LeaderboardManager {
             successfulCompletionsElement.textContent = this.stats.successfulCompletions;
         }
 
+        const entries = this.queryEntries(this.getQuery());
+        const pageCount = Math.max(1, Math.ceil(entries.length / LEADERBOARD_PAGE_SIZE));
+        this.page = Math.min(Math.max(this.page, 0), pageCount - 1);
+
+        const pageInfo = document.getElementById('leaderboard-page-info');
+        if (pageInfo) {
+            pageInfo.textContent = `PAGE ${this.page + 1}/${pageCount} • ${entries.length} RUN${entries.length === 1 ? '' : 'S'}`;
+        }
+
         // Clear existing entries
         leaderboardBody.innerHTML = '';
 
-        if (this.leaderboard.length === 0) {
+        if (entries.length === 0) {
+            const message = this.hasAnyScores() ? 'No runs match these filters' : 'No scores yet! Be the first defender!';
             const emptyRow = document.createElement('tr');
-            emptyRow.innerHTML = '<td colspan="4" style="text-align: center; color: var(--text-secondary);">No scores yet! Be the first defender!</td>';
+            emptyRow.innerHTML = `<td colspan="8" style="text-align: center; color: var(--text-secondary);">${message}</td>`;
             leaderboardBody.appendChild(emptyRow);
             return;
         }
 
-        // Sort leaderboard by score
-        const sortedLeaderboard = [...this.leaderboard].sort((a, b) => b.score - a.score);
-
-        // Display top entries with animation
-        sortedLeaderboard.slice(0, 10).forEach((entry, index) => {
-            const row = this.createLeaderboardRow(entry, index + 1);
+        // Display the page with animation - ranks count from the top of the whole list
+        const first = this.page * LEADERBOARD_PAGE_SIZE;
+        entries.slice(first, first + LEADERBOARD_PAGE_SIZE).forEach((entry, index) => {
+            const row = this.createLeaderboardRow(entry, first + index + 1);
             leaderboardBody.appendChild(row);
         });
     }
 
+    // Filter buttons are labelled with their current choice
+    updateFilterButtons() {
+        const difficulty = this.getDifficultyFilter();
+        const labels = {
+            'leaderboard-player-btn': `PLAYER: ${this.playerFilter || 'ALL'}`,
+            'leaderboard-difficulty-btn': `DIFFICULTY: ${difficulty === ALL_DIFFICULTIES ? 'ALL' : DIFFICULTY_PRESETS[difficulty].label}`,
+            'leaderboard-period-btn': `DATE: ${LEADERBOARD_PERIODS[this.periodFilter].label}`,
+            'leaderboard-status-btn': `STATUS: ${this.securedOnly ? 'SECURED ONLY' : 'ALL'}`,
+            'leaderboard-sort-btn': `SORT: ${LEADERBOARD_SORTS[this.sortBy].label}`
+        };
+
+        Object.entries(labels).forEach(([id, label]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.textContent = label;
+            }
+        });
+    }
+
     createLeaderboardRow(entry, rank) {
         const row = document.createElement('tr');
         row.className = `leaderboard-entry rank-${rank}`;
@@ -171,20 +659,36 @@ class LeaderboardManager {
         const rankDisplay = rank === 1 ? '👑' : rank;
         const statusIndicator = entry.pipelineComplete ? '🏆' : '⚠️';
         const statusText = entry.pipelineComplete ? 'SECURED' : 'FAILED';
+        const unknown = '—'; // older entries didn't record everything
 
         row.innerHTML = `
             <td>${rankDisplay}</td>
             <td style="text-align: left;">${entry.name}</td>
             <td style="text-align: right; font-weight: bold;">${entry.score.toLocaleString()}</td>
+            <td style="text-align: right;">${entry.bugsKilled}</td>
+            <td style="text-align: right;">${entry.accuracy !== null ? `${entry.accuracy}%` : unknown}</td>
+            <td>${entry.date || unknown}</td>
             <td style="text-align: center;">${statusIndicator} ${statusText}</td>
         `;
 
+        // Runs in the history can be watched again from their stored result
+        const replayCell = document.createElement('td');
+        if (this.history && entry.id !== undefined) {
+            const replayButton = document.createElement('button');
+            replayButton.className = 'btn secondary replay-run-btn';
+            replayButton.textContent = '▶';
+            replayButton.setAttribute('aria-label', `Watch ${entry.name}'s ${entry.score} point run`);
+            replayButton.addEventListener('click', () => this.watchRunReplay(entry));
+            replayCell.appendChild(replayButton);
+        }
+        row.appendChild(replayCell);
+
         // Add tooltip with detailed info
         const detailInfo = [
-            `Time: ${entry.timeTaken}s`,
-            `Bugs Killed: ${entry.bugsKilled}`,
-            `Power-ups: ${entry.powerupsCollected}/4`,
-            `Date: ${entry.date}`
+            `Difficulty: ${DIFFICULTY_PRESETS[entry.difficulty].label}`,
+            `Time: ${entry.timeTaken !== null ? `${entry.timeTaken}s` : unknown}`,
+            `Power-ups: ${entry.powerupsCollected}/${BUG_TYPES.all().length}`,
+            `Peak Combo: ${entry.peakCombo !== null ? entry.peakCombo : unknown}`
         ].join(' | ');
 
         row.title = detailInfo;
@@ -192,10 +696,9 @@ class LeaderboardManager {
         return row;
     }
 
-    getTopScores(count = 10) {
-        return [...this.leaderboard]
-            .sort((a, b) => b.score - a.score)
-            .slice(0, count);
+    // Best scores, optionally only those played at one difficulty
+    getTopScores(count = 10, difficulty = null) {
+        return this.queryEntries({ difficulty }).slice(0, count);
     }
 
     getSuccessfulCompletions() {
@@ -231,10 +734,11 @@ class LeaderboardManager {
     exportData() {
         try {
             const exportData = {
-                leaderboard: this.leaderboard,
+                schemaVersion: LEADERBOARD_SCHEMA_VERSION,
+                // Run ids only mean something in this browser's history
+                leaderboard: this.leaderboard.map(entry => RunHistory.withoutId(entry)),
                 stats: this.stats,
-                exportDate: new Date().toISOString(),
-                gameVersion: '2.0'
+                exportDate: new Date().toISOString()
             };
 
             const dataStr = JSON.stringify(exportData, null, 2);
@@ -262,29 +766,38 @@ class LeaderboardManager {
             const data = JSON.parse(jsonData);
 
             if (data.leaderboard && Array.isArray(data.leaderboard)) {
-                // Merge with existing data
-                const newEntries = data.leaderboard.filter(entry =>
-                    !this.leaderboard.some(existing =>
-                        existing.name === entry.name &&
-                        existing.score === entry.score &&
-                        existing.timestamp === entry.timestamp
-                    )
-                );
+                // Exports from before schema versioning (gameVersion '2.0') are schema 0
+                const schemaVersion = data.schemaVersion !== undefined ? data.schemaVersion : 0;
+                if (!Number.isInteger(schemaVersion) || schemaVersion > LEADERBOARD_SCHEMA_VERSION) {
+                    throw new Error(`Unsupported leaderboard schema: ${schemaVersion}`);
+                }
 
-                this.leaderboard.push(...newEntries);
+                const { entries, rejected } = LeaderboardManager.migrateEntries(data.leaderboard, schemaVersion);
+                if (rejected.length > 0) {
+                    this.quarantine(rejected);
+                }
 
-                // Update stats if provided
-                if (data.stats) {
-                    // Recalculate stats from all entries to ensure accuracy
-                    this.recalculateStats();
-                } else {
-                    this.recalculateStats();
+                // Merge with existing data - an id from another browser's history would point at one of
+                // this browser's runs, so imported entries only get one once they're in the history
+                const newEntries = entries
+                    .filter(entry => !this.leaderboard.some(existing => LeaderboardManager.isSameRun(existing, entry)))
+                    .map(entry => RunHistory.withoutId(entry));
+
+                this.leaderboard.push(...newEntries);
+                if (this.history) {
+                    this.history.addEntries(newEntries.map(entry => this.toHistoryRecord(entry)))
+                        .then(ids => newEntries.forEach((entry, index) => { entry.id = ids[index]; }))
+                        .catch(error => console.error('Error saving imported scores to history:', error));
                 }
 
+                // Recalculate stats from all entries to ensure accuracy
+                this.recalculateStats();
+
                 this.saveData();
                 this.displayLeaderboard();
 
-                this.showMessage(`Imported ${newEntries.length} new scores!`, 'success');
+                const skipped = rejected.length > 0 ? ` (${rejected.length} invalid set aside)` : '';
+                this.showMessage(`Imported ${newEntries.length} new scores!${skipped}`, 'success');
             } else {
                 throw new Error('Invalid data format');
             }
@@ -296,36 +809,33 @@ class LeaderboardManager {
     }
 
     recalculateStats() {
+        // Entries from before run times were recorded don't count towards play time or best time
         this.stats = {
             totalGames: this.leaderboard.length,
             successfulCompletions: this.leaderboard.filter(e => e.pipelineComplete).length,
             totalScore: this.leaderboard.reduce((sum, e) => sum + e.score, 0),
             averageScore: 0,
             bestTime: null,
-            totalPlayTime: this.leaderboard.reduce((sum, e) => sum + (e.timeTaken || 90), 0)
+            totalPlayTime: this.leaderboard.reduce((sum, e) => sum + (e.timeTaken || 0), 0)
         };
 
         if (this.stats.totalGames > 0) {
             this.stats.averageScore = Math.round(this.stats.totalScore / this.stats.totalGames);
         }
 
-        const successfulCompletions = this.leaderboard.filter(e => e.pipelineComplete);
-        if (successfulCompletions.length > 0) {
-            this.stats.bestTime = Math.min(...successfulCompletions.map(e => e.timeTaken || 90));
+        const timedCompletions = this.leaderboard.filter(e => e.pipelineComplete && e.timeTaken !== null);
+        if (timedCompletions.length > 0) {
+            this.stats.bestTime = Math.min(...timedCompletions.map(e => e.timeTaken));
         }
     }
 
     resetData() {
         this.leaderboard = [];
-        this.stats = {
-            totalGames: 0,
-            successfulCompletions: 0,
-            totalScore: 0,
-            averageScore: 0,
-            bestTime: null,
-            totalPlayTime: 0
-        };
+        this.stats = LeaderboardManager.defaultStats();
 
+        if (this.history) {
+            this.history.clear().catch(error => console.error('Error clearing run history:', error));
+        }
         this.saveData();
         this.displayLeaderboard();
     }
@@ -0,0 +1,82 @@
+/**
+ * Pipeline Defender - Level Definitions
+ * Each stage of the pipeline is plain data; the game plays them in order
+ *
+ * duration        - seconds the stage lasts
+ * spawnRate       - probability of a bug spawning per simulation tick
+ * bugMix          - relative spawn weights per bug type
+ * bugSpeed        - speed curve: bugs spawn at `start` speed, ramping linearly to `end` by the stage's last second
+ * powerUpInterval - seconds between power-up drops
+ * weaponDrops     - WEAPON_DEFINITIONS ids that can drop as weapon pickups during the stage
+ * boss            - optional id from BOSS_DEFINITIONS; the boss appears when the clock runs out
+ *                   and the stage only clears once it is defeated
+ */
+
+const PIPELINE_LEVELS = [
+    {
+        name: 'COMMIT',
+        duration: 30,
+        spawnRate: 0.02,
+        bugMix: {
+            'Functional Errors': 3,
+            'Security Bugs': 1,
+            'Quality Bugs': 3,
+            'Embedded Secrets': 1
+        },
+        bugSpeed: { start: 0.8, end: 1.0 },
+        powerUpInterval: 10,
+        weaponDrops: ['double', 'spread']
+    },
+    {
+        name: 'BUILD',
+        duration: 40,
+        spawnRate: 0.03,
+        bugMix: {
+            'Functional Errors': 2,
+            'Security Bugs': 2,
+            'Quality Bugs': 2,
+            'Embedded Secrets': 2
+        },
+        bugSpeed: { start: 1.0, end: 1.3 },
+        powerUpInterval: 10,
+        weaponDrops: ['double', 'spread', 'linter'],
+        boss: 'critical-cve'
+    },
+    {
+        name: 'TEST',
+        duration: 45,
+        spawnRate: 0.035,
+        bugMix: {
+            'Functional Errors': 3,
+            'Security Bugs': 2,
+            'Quality Bugs': 1,
+            'Embedded Secrets': 2
+        },
+        bugSpeed: { start: 1.1, end: 1.5 },
+        powerUpInterval: 12,
+        weaponDrops: ['spread', 'linter', 'scan']
+    },
+    {
+        name: 'DEPLOY',
+        duration: 50,
+        spawnRate: 0.045,
+        bugMix: {
+            'Functional Errors': 1,
+            'Security Bugs': 3,
+            'Quality Bugs': 1,
+            'Embedded Secrets': 3
+        },
+        bugSpeed: { start: 1.3, end: 1.8 },
+        powerUpInterval: 15,
+        weaponDrops: ['double', 'linter', 'scan'],
+        boss: 'production-incident'
+    }
+];
+
+// Make the level list available globally (browser) and as a CommonJS module (Node)
+if (typeof window !== 'undefined') {
+    window.PIPELINE_LEVELS = PIPELINE_LEVELS;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PIPELINE_LEVELS;
+}
\ No newline at end of file
@@ -0,0 +1,137 @@
+/**
+ * Pipeline Defender - Replay System
+ * Records the per-tick inputs of a run and plays them back through the simulation
+ *
+ * A recording only stores the run seed plus the ticks where the movement direction or the
+ * held fire trigger changed, or a shot was requested - the fixed timestep and seeded RNG
+ * reproduce the rest.
+ */
+
+const REPLAY_VERSION = 2;
+const SUPPORTED_REPLAY_VERSIONS = [1, 2]; // version 1 predates the held trigger (charged weapons)
+
+class InputRecorder {
+    constructor({ seed, difficulty, tickRate, gameWidth, gameHeight }) {
+        this.seed = seed;
+        this.difficulty = difficulty;
+        this.tickRate = tickRate;
+        this.gameWidth = gameWidth;
+        this.gameHeight = gameHeight;
+        this.moves = []; // [tick, direction] whenever the direction changes
+        this.shots = []; // ticks a shot was fired on
+        this.triggers = []; // [tick, held] whenever the fire trigger is pressed or released
+        this.lastDirection = 0;
+        this.lastTrigger = false;
+    }
+
+    // Carry on recording from a recording so far (a run restored from a saved snapshot)
+    static fromRecording(recording) {
+        const recorder = new InputRecorder(recording);
+        recorder.moves = recording.moves.slice();
+        recorder.shots = recording.shots.slice();
+        recorder.triggers = (recording.triggers || []).slice();
+
+        const lastMove = recorder.moves[recorder.moves.length - 1];
+        const lastTrigger = recorder.triggers[recorder.triggers.length - 1];
+        recorder.lastDirection = lastMove ? lastMove[1] : 0;
+        recorder.lastTrigger = lastTrigger ? lastTrigger[1] : false;
+        return recorder;
+    }
+
+    record(tick, direction, shoot, trigger = false) {
+        if (direction !== this.lastDirection) {
+            this.moves.push([tick, direction]);
+            this.lastDirection = direction;
+        }
+
+        if (trigger !== this.lastTrigger) {
+            this.triggers.push([tick, trigger]);
+            this.lastTrigger = trigger;
+        }
+
+        if (shoot) {
+            this.shots.push(tick);
+        }
+    }
+
+    finish(totalTicks) {
+        return {
+            version: REPLAY_VERSION,
+            seed: this.seed,
+            difficulty: this.difficulty,
+            tickRate: this.tickRate,
+            gameWidth: this.gameWidth,
+            gameHeight: this.gameHeight,
+            totalTicks: totalTicks,
+            moves: this.moves.slice(),
+            shots: this.shots.slice(),
+            triggers: this.triggers.slice()
+        };
+    }
+}
+
+class ReplayPlayer {
+    constructor(recording) {
+        ReplayPlayer.validate(recording);
+
+        this.recording = recording;
+        this.moveIndex = 0;
+        this.shotIndex = 0;
+        this.triggerIndex = 0;
+        this.direction = 0;
+        this.trigger = false;
+    }
+
+    // Throws if the recording can't be played back by this version of the game
+    static validate(recording) {
+        if (!recording || typeof recording !== 'object') {
+            throw new Error('Replay data is missing');
+        }
+        if (!SUPPORTED_REPLAY_VERSIONS.includes(recording.version)) {
+            throw new Error(`Unsupported replay version: ${recording.version}`);
+        }
+        if (!Array.isArray(recording.moves) || !Array.isArray(recording.shots)) {
+            throw new Error('Replay data is malformed');
+        }
+        if (recording.version >= 2 && !Array.isArray(recording.triggers)) {
+            throw new Error('Replay data is malformed');
+        }
+    }
+
+    // Input state for a tick - ticks must be requested in increasing order
+    frameAt(tick) {
+        const { moves, shots } = this.recording;
+        const triggers = this.recording.triggers || [];
+
+        while (this.moveIndex < moves.length && moves[this.moveIndex][0] <= tick) {
+            this.direction = moves[this.moveIndex][1];
+            this.moveIndex++;
+        }
+
+        while (this.triggerIndex < triggers.length && triggers[this.triggerIndex][0] <= tick) {
+            this.trigger = triggers[this.triggerIndex][1];
+            this.triggerIndex++;
+        }
+
+        let shoot = false;
+        while (this.shotIndex < shots.length && shots[this.shotIndex] <= tick) {
+            shoot = shots[this.shotIndex] === tick;
+            this.shotIndex++;
+        }
+
+        return { direction: this.direction, shoot, trigger: this.trigger };
+    }
+
+    isFinished(tick) {
+        return tick >= this.recording.totalTicks;
+    }
+}
+
+// Make replay classes available globally (browser) and as a CommonJS module (Node)
+if (typeof window !== 'undefined') {
+    window.InputRecorder = InputRecorder;
+    window.ReplayPlayer = ReplayPlayer;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { InputRecorder, ReplayPlayer, REPLAY_VERSION };
+}
\ No newline at end of file
@@ -0,0 +1,70 @@
+/**
+ * Pipeline Defender - Seeded Random Number Generator
+ * Deterministic PRNG (mulberry32) so a seed always reproduces the same run
+ */
+
+class SeededRandom {
+    /**
+     * @param {number|string} [seed] - Numeric seed or any string (e.g. a date for daily challenges)
+     */
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    // Pick a fresh seed for runs that didn't ask for one
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    // Numbers are used as-is, strings are hashed (FNV-1a) to a 32-bit seed
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return seed >>> 0;
+        }
+
+        const text = String(seed);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // Float in [0, 1) - drop-in replacement for Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Integer in [0, max)
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    // Random element of an array
+    pick(items) {
+        return items[this.nextInt(items.length)];
+    }
+
+    // Internal state, for snapshotting a run mid-way
+    getState() {
+        return this.state;
+    }
+
+    setState(state) {
+        this.state = state >>> 0;
+    }
+}
+
+// Make SeededRandom available globally (browser) and as a CommonJS module (Node)
+if (typeof window !== 'undefined') {
+    window.SeededRandom = SeededRandom;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+}
\ No newline at end of file
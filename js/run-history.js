@@ -0,0 +1,128 @@
+/**
+ * Pipeline Defender - Run History
+ * Every run submitted to the leaderboard, kept in IndexedDB with no cap on how many
+ *
+ * Two object stores share one auto-incremented run id:
+ *   runs    - the leaderboard entry of each run (small, loaded whole to rank and filter)
+ *   results - the complete game result (bug stats, bosses, replay...), read one run at a time
+ *
+ * Every method returns a Promise. The database is opened on first use.
+ */
+
+class RunHistory {
+    constructor() {
+        this.DB_NAME = 'pipelineDefender';
+        this.DB_VERSION = 1;
+        this.opening = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.opening) {
+            this.opening = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+                // Each database version adds to the one before, so any older database can be upgraded
+                request.onupgradeneeded = event => {
+                    const db = request.result;
+                    if (event.oldVersion < 1) {
+                        db.createObjectStore('runs', { keyPath: 'id', autoIncrement: true });
+                        db.createObjectStore('results');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('Run history is open in another tab with an older version'));
+            });
+        }
+        return this.opening;
+    }
+
+    /**
+     * Run one transaction
+     * @param {string[]} storeNames
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} work - (transaction) => getter for the value to resolve with once it commits
+     */
+    transact(storeNames, mode, work) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, mode);
+            const getValue = work(transaction);
+
+            transaction.oncomplete = () => resolve(getValue ? getValue() : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Run history transaction aborted'));
+        }));
+    }
+
+    // Records get their id from the store - an id from another browser's history would clash
+    static withoutId(entry) {
+        const { id, ...record } = entry;
+        return record;
+    }
+
+    /**
+     * Save a finished run
+     * @param {Object} entry - leaderboard entry
+     * @param {Object} result - complete game result (PipelineDefenderGame.endGame)
+     * @returns {Promise<number>} the run id
+     */
+    addRun(entry, result) {
+        return this.transact(['runs', 'results'], 'readwrite', transaction => {
+            const request = transaction.objectStore('runs').add(RunHistory.withoutId(entry));
+            request.onsuccess = () => {
+                transaction.objectStore('results').add(result, request.result);
+            };
+            return () => request.result;
+        });
+    }
+
+    /**
+     * Save entries that have no full result (scores migrated from localStorage or imported) -
+     * all of them or, if anything fails, none
+     * @returns {Promise<number[]>} run ids, in the order given
+     */
+    addEntries(entries) {
+        return this.transact(['runs'], 'readwrite', transaction => {
+            const store = transaction.objectStore('runs');
+            const requests = entries.map(entry => store.add(RunHistory.withoutId(entry)));
+            return () => requests.map(request => request.result);
+        });
+    }
+
+    // Every leaderboard entry, each with its run id
+    getAllEntries() {
+        return this.transact(['runs'], 'readonly', transaction => {
+            const request = transaction.objectStore('runs').getAll();
+            return () => request.result;
+        });
+    }
+
+    // The complete game result of a run, or null for entries that never had one
+    getResult(id) {
+        return this.transact(['results'], 'readonly', transaction => {
+            const request = transaction.objectStore('results').get(id);
+            return () => request.result || null;
+        });
+    }
+
+    // Take entries off the board - their full results stay stored under the same ids
+    removeEntries(ids) {
+        return this.transact(['runs'], 'readwrite', transaction => {
+            ids.forEach(id => transaction.objectStore('runs').delete(id));
+        });
+    }
+
+    clear() {
+        return this.transact(['runs', 'results'], 'readwrite', transaction => {
+            transaction.objectStore('runs').clear();
+            transaction.objectStore('results').clear();
+        });
+    }
+}
+
+// Make RunHistory available globally
+window.RunHistory = RunHistory;
\ No newline at end of file
@@ -0,0 +1,76 @@
+/**
+ * Pipeline Defender - Saved Run
+ * Keeps the in-progress run in localStorage, so closing the tab mid-run doesn't lose it
+ *
+ * The run is snapshotted (PipelineDefenderGame.createSnapshot) whenever it pauses - including when
+ * the window loses focus - and when the page unloads. Starting, finishing or quitting a run clears it.
+ * Snapshots carry a format version; one this version of the game can't continue is discarded on load.
+ */
+
+class SavedRunManager {
+    constructor() {
+        this.STORAGE_KEY = 'pipelineDefenderSavedRun';
+    }
+
+    save(game) {
+        const snapshot = game ? game.createSnapshot() : null;
+        if (!snapshot) return false;
+
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(snapshot));
+            return true;
+        } catch (error) {
+            console.error('Error saving run:', error);
+            return false;
+        }
+    }
+
+    // The saved snapshot, or null - a save the game can no longer continue is thrown away
+    load(game) {
+        let stored;
+        try {
+            stored = localStorage.getItem(this.STORAGE_KEY);
+        } catch (error) {
+            console.error('Error loading saved run:', error);
+            return null;
+        }
+        if (!stored) return null;
+
+        try {
+            const snapshot = JSON.parse(stored);
+            game.validateSnapshot(snapshot);
+            return snapshot;
+        } catch (error) {
+            console.warn('Discarding saved run:', error.message);
+            this.clear();
+            return null;
+        }
+    }
+
+    clear() {
+        try {
+            localStorage.removeItem(this.STORAGE_KEY);
+        } catch (error) {
+            console.error('Error clearing saved run:', error);
+        }
+    }
+
+    // Simulation events -> keep the save in step with the run (replays never touch it)
+    handleEvent(type, payload) {
+        switch (type) {
+            case 'gamePaused':
+                this.save(window.game);
+                break;
+            case 'gameStart':
+            case 'gameOver':
+            case 'gameQuit':
+                if (!payload.isReplay) {
+                    this.clear();
+                }
+                break;
+        }
+    }
+}
+
+// Make SavedRunManager available globally
+window.SavedRunManager = SavedRunManager;
\ No newline at end of file
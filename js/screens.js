@@ -9,6 +9,10 @@ class ScreenManager {
         this.currentScreen = null;
         this.isTransitioning = false;
         this.introSequenceCompleted = false;
+        this.capturingBinding = null; // {action, slot} while the controls screen waits for a key
+        this.returnToGame = false; // settings/instructions opened from the pause menu go back to the run
+        this.replayReturnScreen = 'game-over-screen'; // where a replay goes back to when it ends or is quit
+        this.replayRecording = null; // recording being watched, for Restart
 
         this.initializeScreens();
         this.attachEventListeners();
@@ -29,13 +33,79 @@ class ScreenManager {
         this.gameScreen = document.getElementById('game-screen');
         this.gameOverScreen = document.getElementById('game-over-screen');
         this.leaderboardScreen = document.getElementById('leaderboard-screen');
+        this.controlsScreen = document.getElementById('controls-screen');
+        this.settingsScreen = document.getElementById('settings-screen');
+        this.pauseOverlay = document.getElementById('pause-overlay');
+
+        this.renderBugShowcase();
 
         // Set initial screen
         this.showScreen('loading-screen');
     }
 
+    // Mission briefing entries, one per registered bug type
+    renderBugShowcase() {
+        const showcase = document.getElementById('bug-showcase');
+        if (!showcase) return;
+
+        showcase.innerHTML = '';
+        BUG_TYPES.all().forEach(type => {
+            const item = document.createElement('div');
+            item.className = 'bug-item';
+            item.title = `${type.blurb} Countered by ${type.powerUp.icon} ${type.powerUp.type}.`;
+            item.innerHTML = `
+                <img src="${type.sprite}" alt="${type.name}">
+                <span>${type.name}</span>
+                <small class="bug-blurb">${type.blurb}</small>
+            `;
+            showcase.appendChild(item);
+        });
+    }
+
+    // Per-type kill counts on the game-over screen
+    renderBugStats(bugStats) {
+        this.renderTypeRows('stat-bug-rows', type => ({
+            label: `${type.statLabel}:`,
+            id: `stat-${type.key}`,
+            value: bugStats[type.name] || 0
+        }));
+    }
+
+    // Integrity lost to each bug type that escaped
+    renderDamageBreakdown(integrityDamage = {}) {
+        this.renderTypeRows('stat-damage-rows', type => ({
+            label: `${type.statLabel} Damage:`,
+            id: `stat-damage-${type.key}`,
+            value: integrityDamage[type.name] ? `-${integrityDamage[type.name]}` : 0
+        }));
+    }
+
+    // Fill a stats tbody with one cell pair per registry bug type, two types per row
+    renderTypeRows(containerId, cellFor) {
+        const rows = document.getElementById(containerId);
+        if (!rows) return;
+
+        rows.innerHTML = '';
+        const types = BUG_TYPES.all();
+        for (let i = 0; i < types.length; i += 2) {
+            const row = document.createElement('tr');
+            types.slice(i, i + 2).forEach(type => {
+                const cell = cellFor(type);
+                row.innerHTML += `
+                    <td>${cell.label}</td>
+                    <td><span id="${cell.id}">${cell.value}</span></td>
+                `;
+            });
+            rows.appendChild(row);
+        }
+    }
+
     attachEventListeners() {
         // Menu navigation buttons
+        document.getElementById('resume-mission-btn').addEventListener('click', () => {
+            this.resumeSavedRun();
+        });
+
         document.getElementById('start-new-game-btn').addEventListener('click', () => {
             this.showScreen('instructions-screen');
         });
@@ -47,17 +117,26 @@ class ScreenManager {
         document.getElementById('view-leaderboard-btn').addEventListener('click', () => {
             this.showScreen('leaderboard-screen');
             if (window.leaderboard) {
+                window.leaderboard.resetView(); // start from the selected difficulty
                 window.leaderboard.displayLeaderboard();
             }
         });
 
+        document.getElementById('view-controls-btn').addEventListener('click', () => {
+            this.showScreen('controls-screen');
+        });
+
+        document.getElementById('view-settings-btn').addEventListener('click', () => {
+            this.showScreen('settings-screen');
+        });
+
         // Instructions screen buttons
         document.getElementById('start-from-instructions-btn').addEventListener('click', () => {
             this.startGame();
         });
 
         document.getElementById('back-to-menu-btn').addEventListener('click', () => {
-            this.showScreen('menu-screen');
+            this.leaveSubScreen();
         });
 
         // Game over screen buttons
@@ -69,6 +148,14 @@ class ScreenManager {
             this.startGame();
         });
 
+        document.getElementById('watch-replay-btn').addEventListener('click', () => {
+            this.watchReplay();
+        });
+
+        document.getElementById('save-replay-btn').addEventListener('click', () => {
+            this.handleSaveReplay();
+        });
+
         document.getElementById('menu-from-game-over-btn').addEventListener('click', () => {
             this.showScreen('menu-screen');
         });
@@ -78,6 +165,24 @@ class ScreenManager {
             this.showScreen('menu-screen');
         });
 
+        // Each filter button steps to its next option
+        const leaderboardControls = {
+            'leaderboard-player-btn': leaderboard => leaderboard.cyclePlayerFilter(),
+            'leaderboard-difficulty-btn': leaderboard => leaderboard.cycleDifficultyFilter(),
+            'leaderboard-period-btn': leaderboard => leaderboard.cyclePeriodFilter(),
+            'leaderboard-status-btn': leaderboard => leaderboard.toggleSecuredOnly(),
+            'leaderboard-sort-btn': leaderboard => leaderboard.cycleSort(),
+            'leaderboard-prev-btn': leaderboard => leaderboard.changePage(-1),
+            'leaderboard-next-btn': leaderboard => leaderboard.changePage(1)
+        };
+        Object.entries(leaderboardControls).forEach(([id, action]) => {
+            document.getElementById(id).addEventListener('click', () => {
+                if (window.leaderboard) {
+                    action(window.leaderboard);
+                }
+            });
+        });
+
         document.getElementById('reset-scores-btn').addEventListener('click', () => {
             this.handleResetScores();
         });
@@ -86,9 +191,64 @@ class ScreenManager {
             this.handleExportData();
         });
 
+        // Controls screen buttons
+        document.getElementById('menu-from-controls-btn').addEventListener('click', () => {
+            this.showScreen('menu-screen');
+        });
+
+        document.getElementById('reset-bindings-btn').addEventListener('click', () => {
+            this.handleResetBindings();
+        });
+
+        // Settings screen buttons
+        document.getElementById('menu-from-settings-btn').addEventListener('click', () => {
+            this.leaveSubScreen();
+        });
+
+        document.getElementById('reset-settings-btn').addEventListener('click', () => {
+            if (window.settings) {
+                window.settings.resetToDefaults();
+                this.renderSettings();
+            }
+        });
+
+        // Pause menu buttons
+        document.getElementById('resume-game-btn').addEventListener('click', () => {
+            if (window.game && window.game.isPaused) {
+                window.game.resumeGame();
+            }
+        });
+
+        document.getElementById('restart-game-btn').addEventListener('click', () => {
+            this.restartGame();
+        });
+
+        document.getElementById('pause-settings-btn').addEventListener('click', () => {
+            this.openFromPauseMenu('settings-screen');
+        });
+
+        document.getElementById('pause-instructions-btn').addEventListener('click', () => {
+            this.openFromPauseMenu('instructions-screen');
+        });
+
+        document.getElementById('quit-game-btn').addEventListener('click', () => {
+            this.setQuitConfirmation(true);
+        });
+
+        document.getElementById('confirm-quit-btn').addEventListener('click', () => {
+            this.quitToMenu();
+        });
+
+        document.getElementById('cancel-quit-btn').addEventListener('click', () => {
+            this.setQuitConfirmation(false);
+        });
+
         // Global keyboard navigation
         document.addEventListener('keydown', (e) => this.handleGlobalKeyNavigation(e));
 
+        // Tap feedback on touch screens
+        document.addEventListener('pointerdown', (e) => this.handleTapNavigation(e));
+
         // Name input enter key
         document.getElementById('player-name-input').addEventListener('keypress', (e) => {
             if (e.key === 'Enter') {
@@ -147,6 +307,11 @@ class ScreenManager {
     }
 
     proceedToNextScreen() {
+        // Players can turn the intro off in the settings
+        if (window.settings && !window.settings.get('showIntro')) {
+            this.introSequenceCompleted = true;
+        }
+
         if (!this.introSequenceCompleted) {
             this.showScreen('intro-screen');
             this.playIntroSequence();
@@ -251,6 +416,12 @@ class ScreenManager {
     onScreenShow(screenId) {
         // Handle screen-specific initialization
         switch (screenId) {
+            case 'menu-screen':
+                // The button appears after the first focus pass - focus it so Enter resumes
+                if (this.updateResumeButton()) {
+                    this.focusFirstElement(this.menuScreen);
+                }
+                break;
             case 'game-screen':
                 // Game screen initialization handled by game.js
                 break;
@@ -262,9 +433,242 @@ class ScreenManager {
                     window.leaderboard.displayLeaderboard();
                 }
                 break;
+            case 'controls-screen':
+                this.capturingBinding = null;
+                this.renderKeyBindings();
+                this.setBindingStatus('');
+                break;
+            case 'instructions-screen':
+                this.updateControlsHint();
+                this.updateBackButtons();
+                break;
+            case 'settings-screen':
+                this.renderSettings();
+                this.updateBackButtons();
+                break;
+        }
+    }
+
+    // Pause menu - shown and hidden by the game's gamePaused/gameResumed events, so every way of
+    // pausing (pause key, gamepad Start, touch button, losing focus) ends up here
+    showPauseMenu() {
+        if (!this.pauseOverlay) return;
+
+        this.pauseOverlay.style.display = '';
+        this.setQuitConfirmation(false);
+    }
+
+    hidePauseMenu() {
+        if (!this.pauseOverlay) return;
+
+        this.pauseOverlay.style.display = 'none';
+        this.setQuitConfirmation(false);
+        if (this.pauseOverlay.contains(document.activeElement)) {
+            document.activeElement.blur();
+        }
+    }
+
+    isPauseMenuOpen() {
+        return !!this.pauseOverlay && this.pauseOverlay.style.display !== 'none';
+    }
+
+    // Swap the pause menu's buttons for the "are you sure?" prompt, or back
+    setQuitConfirmation(visible) {
+        const actions = document.getElementById('pause-actions');
+        const confirmation = document.getElementById('quit-confirmation');
+        actions.style.display = visible ? 'none' : '';
+        confirmation.style.display = visible ? '' : 'none';
+
+        if (this.isGameActive()) {
+            this.focusFirstElement(visible ? confirmation : actions);
         }
     }
 
+    isQuitConfirmationOpen() {
+        return document.getElementById('quit-confirmation').style.display !== 'none';
+    }
+
+    // Escape or the pause key during a run: pause, back out of the quit prompt, or resume
+    handlePauseKey() {
+        if (!window.game || !window.game.isRunning) return;
+
+        if (this.isPauseMenuOpen() && this.isQuitConfirmationOpen()) {
+            this.setQuitConfirmation(false);
+        } else {
+            window.game.togglePause();
+        }
+    }
+
+    // Abandon the run without a result and start over - replays restart the same recording
+    restartGame() {
+        if (!window.game) return;
+
+        const isReplay = !!window.game.replay;
+        window.game.quitGame();
+        if (isReplay) {
+            this.watchReplay(this.replayRecording, this.replayReturnScreen);
+        } else {
+            this.startGame();
+        }
+    }
+
+    quitToMenu() {
+        if (!window.game) return;
+
+        // Quitting a replay goes back to where it was started from
+        const isReplay = !!window.game.replay;
+        window.game.quitGame();
+        this.setReplayIndicator(false);
+        this.showScreen(isReplay ? this.replayReturnScreen : 'menu-screen');
+    }
+
+    // Settings and How to Play from the pause menu - the run stays paused until the player resumes
+    openFromPauseMenu(screenId) {
+        this.returnToGame = true;
+        this.showScreen(screenId);
+    }
+
+    leaveSubScreen() {
+        const target = this.returnToGame ? 'game-screen' : 'menu-screen';
+        this.returnToGame = false;
+        this.showScreen(target);
+    }
+
+    updateBackButtons() {
+        const label = this.returnToGame ? 'Back to Game' : 'Back to Menu';
+        document.getElementById('back-to-menu-btn').textContent = label;
+        document.getElementById('menu-from-settings-btn').textContent = label;
+
+        // Beginning a new mission mid-run would throw the paused one away
+        document.getElementById('start-from-instructions-btn').style.display = this.returnToGame ? 'none' : '';
+    }
+
+    // One row per setting, each with a button that steps to the next option
+    renderSettings() {
+        const rows = document.getElementById('settings-rows');
+        if (!rows || !window.settings) return;
+
+        rows.innerHTML = '';
+        Object.entries(SETTING_DEFINITIONS).forEach(([key, definition]) => {
+            const row = document.createElement('tr');
+            const fixed = definition.fixed ? ` (${KeyBindings.describeKey(definition.fixed)})` : '';
+            row.innerHTML = `<td>${definition.label}${fixed}</td>`;
+
+            const button = document.createElement('button');
+            button.className = 'btn setting-btn';
+            button.textContent = window.settings.describe(key);
+            button.setAttribute('aria-label', `${definition.label}: ${button.textContent}`);
+            button.addEventListener('click', () => {
+                window.settings.cycle(key);
+                button.textContent = window.settings.describe(key);
+                button.setAttribute('aria-label', `${definition.label}: ${button.textContent}`);
+            });
+
+            const cell = document.createElement('td');
+            cell.appendChild(button);
+            row.appendChild(cell);
+            rows.appendChild(row);
+        });
+    }
+
+    // One row per action on the controls screen, with a button for each key slot
+    renderKeyBindings() {
+        const rows = document.getElementById('key-binding-rows');
+        if (!rows || !window.input) return;
+
+        const bindings = window.input.bindings;
+        rows.innerHTML = '';
+        Object.entries(KEY_BINDING_ACTIONS).forEach(([action, definition]) => {
+            const row = document.createElement('tr');
+            const fixed = definition.fixed ? ` (${KeyBindings.describeKey(definition.fixed)})` : '';
+            row.innerHTML = `<td>${definition.label}${fixed}</td>`;
+
+            const keys = bindings.getKeys(action);
+            for (let slot = 0; slot < bindings.SLOTS; slot++) {
+                const capturing = this.capturingBinding &&
+                    this.capturingBinding.action === action && this.capturingBinding.slot === slot;
+
+                const button = document.createElement('button');
+                button.className = capturing ? 'btn key-binding-btn capturing' : 'btn key-binding-btn';
+                button.textContent = capturing ? 'PRESS A KEY' : KeyBindings.describeKey(keys[slot]);
+                button.setAttribute('aria-label', `${definition.label} ${slot === 0 ? 'key' : 'alternate'}`);
+                button.addEventListener('click', () => this.startBindingCapture(action, slot));
+
+                const cell = document.createElement('td');
+                cell.appendChild(button);
+                row.appendChild(cell);
+            }
+            rows.appendChild(row);
+        });
+    }
+
+    startBindingCapture(action, slot) {
+        this.capturingBinding = { action, slot };
+        this.renderKeyBindings();
+        this.focusBindingButton(action, slot);
+        this.setBindingStatus(`Press a key for ${KEY_BINDING_ACTIONS[action].label}`);
+    }
+
+    // Keydown while a binding slot is waiting for its key - takes priority over menu navigation
+    handleBindingCapture(e) {
+        e.preventDefault();
+
+        // Controller navigation has no physical key to bind - only its back button (cancel) counts
+        if (!e.code && e.key !== 'Escape') return;
+
+        const { action, slot } = this.capturingBinding;
+        this.capturingBinding = null;
+
+        let result;
+        if (e.key === 'Escape') {
+            result = { ok: true, message: 'Cancelled' };
+        } else if (e.key === 'Backspace' || e.key === 'Delete') {
+            result = window.input.bindings.unbind(action, slot);
+        } else {
+            result = window.input.bindings.bind(action, slot, e.code);
+        }
+
+        this.renderKeyBindings();
+        this.setBindingStatus(result.ok ? (result.message || 'Saved') : result.error, !result.ok);
+        this.focusBindingButton(action, slot);
+    }
+
+    // Keep keyboard focus on the slot that was just edited (the rows are rebuilt on every change)
+    focusBindingButton(action, slot) {
+        const actionIndex = Object.keys(KEY_BINDING_ACTIONS).indexOf(action);
+        const rows = document.querySelectorAll('#key-binding-rows tr');
+        const button = rows[actionIndex] && rows[actionIndex].querySelectorAll('button')[slot];
+        if (button) {
+            button.focus();
+        }
+    }
+
+    setBindingStatus(message, isError = false) {
+        const status = document.getElementById('key-binding-status');
+        if (!status) return;
+
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+
+    handleResetBindings() {
+        if (!window.input) return;
+
+        this.capturingBinding = null;
+        window.input.bindings.resetToDefaults();
+        this.renderKeyBindings();
+        this.setBindingStatus('Default controls restored');
+    }
+
+    // Mission briefing shows the keys actually bound
+    updateControlsHint() {
+        const hint = document.getElementById('controls-hint');
+        if (!hint || !window.input) return;
+
+        const keysFor = action => window.input.bindings.getAllKeys(action).map(KeyBindings.describeKey).join('/');
+        hint.textContent = `${keysFor('left')} ${keysFor('right')} to move | ${keysFor('fire')} to shoot | ${keysFor('pause')} to pause`;
+    }
+
     setupGameOverScreen() {
         // Clear previous name
         document.getElementById('player-name-input').value = '';
@@ -276,16 +680,115 @@ class ScreenManager {
     }
 
     startGame() {
+        this.setReplayIndicator(false);
         this.showScreen('game-screen');
         // Wait for screen transition to complete before starting game
         setTimeout(() => {
             if (window.game) {
-                window.game.startNewGame();
+                window.game.startNewGame(this.getRunOptions());
+            }
+        }, 400); // Slightly longer than the 300ms transition
+    }
+
+    // Show "Resume Mission" on the menu while there's a saved run; returns whether it's shown
+    updateResumeButton() {
+        const button = document.getElementById('resume-mission-btn');
+        const snapshot = window.savedRun && window.game ? window.savedRun.load(window.game) : null;
+
+        button.style.display = snapshot ? '' : 'none';
+        if (snapshot) {
+            const level = window.game.levels[snapshot.levelIndex];
+            button.textContent = `Resume Mission (${level.name}, ${snapshot.score} pts)`;
+        }
+        return !!snapshot;
+    }
+
+    // Pick the saved run up on the pause menu, so the player can get their bearings first
+    resumeSavedRun() {
+        const snapshot = window.savedRun && window.game ? window.savedRun.load(window.game) : null;
+        if (!snapshot) {
+            this.updateResumeButton();
+            return;
+        }
+
+        this.setReplayIndicator(false);
+        this.showScreen('game-screen');
+        setTimeout(() => {
+            try {
+                window.game.resumeRun(snapshot);
+                window.game.pauseGame();
+            } catch (error) {
+                console.error('Error resuming saved run:', error);
+                window.savedRun.clear();
+                this.showScreen('menu-screen');
+            }
+        }, 400); // Slightly longer than the 300ms transition
+    }
+
+    getRunOptions() {
+        // ?seed=... replays a specific run (daily challenges, bug reports)
+        const seed = new URLSearchParams(window.location.search).get('seed');
+        return seed ? { seed } : {};
+    }
+
+    /**
+     * Play a recording back
+     * @param {Object} [recording] - defaults to the replay of the last run
+     * @param {string} [returnScreen] - screen shown when the replay ends or is quit
+     */
+    watchReplay(recording, returnScreen = 'game-over-screen') {
+        if (!recording) {
+            const result = window.game ? window.game.getGameResult() : null;
+            recording = result ? result.replay : null;
+        }
+        if (!recording || !window.game) return;
+
+        this.replayRecording = recording;
+        this.replayReturnScreen = returnScreen;
+        this.setReplayIndicator(true);
+        this.showScreen('game-screen');
+        setTimeout(() => {
+            try {
+                window.game.startReplay(recording);
+            } catch (error) {
+                console.error('Error starting replay:', error);
+                this.setReplayIndicator(false);
+                this.showScreen(returnScreen);
             }
         }, 400); // Slightly longer than the 300ms transition
     }
 
+    setReplayIndicator(visible) {
+        const indicator = document.getElementById('replay-indicator');
+        if (indicator) {
+            indicator.style.display = visible ? '' : 'none';
+        }
+    }
+
+    handleSaveReplay() {
+        const result = window.game ? window.game.getGameResult() : null;
+        if (!result || !result.replay) return;
+
+        const dataStr = JSON.stringify(result.replay);
+        const dataBlob = new Blob([dataStr], { type: 'application/json' });
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(dataBlob);
+        link.download = `pipeline-defender-replay-${result.seed}.json`;
+
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    }
+
     endGame(result) {
+        // A finished replay just returns to where it was started from
+        if (result.isReplay) {
+            this.setReplayIndicator(false);
+            this.showScreen(this.replayReturnScreen);
+            return;
+        }
+
         // Handle game end - called by game.js
         const resultTitle = document.getElementById('game-result-title');
         const completionStatus = document.getElementById('completion-status');
@@ -297,7 +800,7 @@ class ScreenManager {
 
             // Pipeline status based on actual power-up collection
             const uniqueCollected = result.uniquePowerUpsCollected || 0;
-            const totalTypes = result.totalPowerUpTypes || 4;
+            const totalTypes = result.totalPowerUpTypes || BUG_TYPES.all().length;
 
             if (uniqueCollected === totalTypes) {
                 completionStatus.className = 'completion-status success';
@@ -307,7 +810,7 @@ class ScreenManager {
                 completionText.textContent = `Pipeline Status: PARTIALLY SECURED (${uniqueCollected}/${totalTypes}) 🔶`;
             } else {
                 completionStatus.className = 'completion-status minimal';
-                completionText.textContent = 'Pipeline Status: MINIMAL SECURITY (0/4) ⚠️';
+                completionText.textContent = `Pipeline Status: MINIMAL SECURITY (0/${totalTypes}) ⚠️`;
             }
         } else {
             resultTitle.textContent = 'MISSION FAILED';
@@ -320,12 +823,23 @@ class ScreenManager {
         document.getElementById('final-score-display').textContent = result.score;
         document.getElementById('stat-time-taken').textContent = result.timeTaken;
         document.getElementById('stat-bugs-killed').textContent = result.bugsKilled;
-        document.getElementById('stat-functional').textContent = result.bugStats['Functional Errors'] || 0;
-        document.getElementById('stat-security').textContent = result.bugStats['Security Bugs'] || 0;
-        document.getElementById('stat-quality').textContent = result.bugStats['Quality Bugs'] || 0;
-        document.getElementById('stat-secrets').textContent = result.bugStats['Embedded Secrets'] || 0;
-        document.getElementById('stat-powerups').textContent = `${result.powerupsCollected}/4`;
+        document.getElementById('stat-levels-cleared').textContent = `${result.levelsCleared}/${result.totalLevels}`;
+        document.getElementById('stat-boss-kills').textContent = result.bossKills;
+        document.getElementById('stat-boss-kills').title = result.bossesDefeated
+            .map(boss => `${boss.name} (level ${boss.level}, ${boss.fightTime}s)`)
+            .join('\n');
+        this.renderBugStats(result.bugStats);
+        document.getElementById('stat-powerups').textContent = `${result.powerupsCollected}/${result.totalPowerUpTypes}`;
         document.getElementById('stat-bugs-escaped').textContent = result.bugsEscaped || 0;
+        document.getElementById('stat-peak-combo').textContent = result.peakCombo;
+        document.getElementById('stat-accuracy').textContent = `${result.accuracy}%`;
+        document.getElementById('stat-accuracy').title = `${result.shotsHit}/${result.shotsFired} shots hit - accuracy bonus ${result.accuracyBonus}`;
+        document.getElementById('stat-integrity').textContent = `${Math.round(result.integrity / result.maxIntegrity * 100)}%`;
+        this.renderDamageBreakdown(result.integrityDamage);
+        document.getElementById('stat-difficulty').textContent = result.difficultyLabel;
+        document.getElementById('stat-seed').textContent = result.seed;
+        document.getElementById('watch-replay-btn').disabled = !result.replay;
+        document.getElementById('save-replay-btn').disabled = !result.replay;
 
         this.showScreen('game-over-screen');
     }
@@ -342,7 +856,8 @@ class ScreenManager {
 
         if (window.leaderboard && window.game) {
             const gameResult = window.game.getGameResult();
-            window.leaderboard.submitScore(playerName, gameResult);
+            const entry = window.leaderboard.submitScore(playerName, gameResult);
+            window.leaderboard.focusEntry(entry); // rank the run among its own difficulty
         }
 
         this.showScreen('leaderboard-screen');
@@ -379,13 +894,26 @@ class ScreenManager {
         const activeScreen = this.currentScreen;
         if (!activeScreen) return;
 
-        // During gameplay, only handle ESC for game exit, let game handle other keys
+        if (this.capturingBinding && activeScreen.id === 'controls-screen') {
+            this.handleBindingCapture(e);
+            return;
+        }
+
+        // During gameplay ESC (the fixed pause key) and any key bound to pause open and close the pause menu.
+        // The game handles all other keys, except while the pause menu is up
+        let navigationScope = activeScreen;
         if (activeScreen.id === 'game-screen') {
-            if (e.key === 'Escape') {
+            const isPauseKey = e.key === 'Escape' ||
+                (e.code && window.input && window.input.bindings.getAction(e.code) === 'pause');
+            if (isPauseKey) {
                 e.preventDefault();
-                this.handleEscapeNavigation(activeScreen);
+                this.handlePauseKey();
+                return;
+            }
+            if (!this.isPauseMenuOpen()) {
+                return; // Let game handle all other keys during gameplay
             }
-            return; // Let game handle all other keys during gameplay
+            navigationScope = this.pauseOverlay;
         }
 
         // ESC key navigation - go back to previous/main screen
@@ -395,11 +923,21 @@ class ScreenManager {
             return;
         }
 
+        // Arrow keys and PageUp/PageDown turn the leaderboard pages
+        if (activeScreen.id === 'leaderboard-screen' && window.leaderboard) {
+            const pageStep = { ArrowLeft: -1, PageUp: -1, ArrowRight: 1, PageDown: 1 }[e.key];
+            if (pageStep) {
+                e.preventDefault();
+                window.leaderboard.changePage(pageStep);
+                return;
+            }
+        }
+
         const focusedElement = document.activeElement;
 
         // Enter key - activate focused button or submit name input
         if (e.key === 'Enter') {
-            if (focusedElement && focusedElement.tagName === 'BUTTON' && activeScreen.contains(focusedElement)) {
+            if (focusedElement && focusedElement.tagName === 'BUTTON' && navigationScope.contains(focusedElement)) {
                 e.preventDefault();
                 focusedElement.click();
             } else if (focusedElement && focusedElement.id === 'player-name-input' && activeScreen.id === 'game-over-screen') {
@@ -412,7 +950,7 @@ class ScreenManager {
         // Tab key - cycle through focusable elements
         if (e.key === 'Tab') {
             const focusableElements = Array.from(
-                activeScreen.querySelectorAll('button, input[type="text"]')
+                navigationScope.querySelectorAll('button, input[type="text"]')
             ).filter((el) => el.offsetParent !== null && !el.disabled);
 
             if (focusableElements.length > 0) {
@@ -434,25 +972,61 @@ class ScreenManager {
         }
     }
 
+    // Menu buttons already respond to taps as clicks - this adds the ripple and a haptic tick
+    handleTapNavigation(e) {
+        if (e.pointerType !== 'touch' || this.isTransitioning) return;
+
+        const button = e.target.closest('.btn');
+        if (!button || !this.currentScreen || !this.currentScreen.contains(button) || button.disabled) return;
+
+        const rect = button.getBoundingClientRect();
+        const ripple = document.createElement('span');
+        ripple.className = 'touch-ripple touch-feedback';
+        ripple.style.left = `${e.clientX - rect.left}px`;
+        ripple.style.top = `${e.clientY - rect.top}px`;
+        ripple.addEventListener('animationend', () => ripple.remove());
+        button.appendChild(ripple);
+
+        if (window.input && window.input.vibrate) {
+            window.input.vibrate([10]);
+        }
+    }
+
+    // Controller navigation - InputHandler turns gamepad presses into the keys handled above
+    handleGamepadNavigation(key, shiftKey = false) {
+        // The intro has nothing to focus - any confirm/back press skips it, like a key press does
+        if (this.currentScreen && this.currentScreen.id === 'intro-screen') {
+            if (!this.introSequenceCompleted) {
+                this.introSequenceCompleted = true;
+                this.showScreen('menu-screen');
+            }
+            return;
+        }
+
+        this.handleGlobalKeyNavigation({ key, shiftKey, preventDefault() {} });
+    }
+
     handleEscapeNavigation(activeScreen) {
         // Handle ESC key navigation based on current screen
         switch (activeScreen.id) {
-            case 'game-screen':
-                // Exit game and return to main menu
-                if (window.game) {
-                    window.game.endGame(false, 'Game cancelled');
-                }
-                this.showScreen('menu-screen');
-                break;
+            // game-screen: ESC opens the pause menu instead (see handlePauseKey)
 
             case 'instructions-screen':
-                this.showScreen('menu-screen');
+                this.leaveSubScreen();
                 break;
 
             case 'leaderboard-screen':
                 this.showScreen('menu-screen');
                 break;
 
+            case 'controls-screen':
+                this.showScreen('menu-screen');
+                break;
+
+            case 'settings-screen':
+                this.leaveSubScreen();
+                break;
+
             case 'game-over-screen':
                 this.showScreen('menu-screen');
                 break;
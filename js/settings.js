@@ -0,0 +1,127 @@
+/**
+ * Pipeline Defender - Settings
+ * Player options, persisted to localStorage and applied to the game, display and page at startup
+ *
+ * Every setting picks from a fixed list of options, so the settings screen can step through
+ * them with a single button (keyboard, gamepad and touch all work the same way).
+ */
+
+const VOLUME_OPTIONS = [0, 20, 40, 60, 80, 100];
+const ON_OFF_OPTIONS = [true, false];
+const formatOnOff = value => (value ? 'ON' : 'OFF');
+const formatVolume = value => `${value}%`;
+
+const SETTING_DEFINITIONS = {
+    difficulty: {
+        label: 'DIFFICULTY',
+        default: DEFAULT_DIFFICULTY,
+        options: Object.keys(DIFFICULTY_PRESETS),
+        format: value => DIFFICULTY_PRESETS[value].label
+    },
+    masterVolume: { label: 'MASTER VOLUME', default: 80, options: VOLUME_OPTIONS, format: formatVolume },
+    effectsVolume: { label: 'EFFECTS VOLUME', default: 80, options: VOLUME_OPTIONS, format: formatVolume },
+    screenShake: { label: 'SCREEN SHAKE', default: true, options: ON_OFF_OPTIONS, format: formatOnOff },
+    flashEffects: { label: 'FLASH EFFECTS', default: true, options: ON_OFF_OPTIONS, format: formatOnOff },
+    crtOverlay: { label: 'CRT OVERLAY', default: true, options: ON_OFF_OPTIONS, format: formatOnOff },
+    showIntro: { label: 'SHOW INTRO', default: true, options: ON_OFF_OPTIONS, format: formatOnOff }
+};
+
+class GameSettings {
+    constructor() {
+        this.STORAGE_KEY = 'pipelineDefenderSettings';
+
+        this.values = GameSettings.defaults();
+        this.load();
+    }
+
+    static defaults() {
+        const values = {};
+        Object.entries(SETTING_DEFINITIONS).forEach(([key, definition]) => {
+            values[key] = definition.default;
+        });
+        return values;
+    }
+
+    load() {
+        try {
+            const stored = localStorage.getItem(this.STORAGE_KEY);
+            if (!stored) return;
+
+            // Keep each stored value that is still a valid option - anything else falls back to its default
+            const parsed = JSON.parse(stored);
+            Object.entries(SETTING_DEFINITIONS).forEach(([key, definition]) => {
+                if (definition.options.includes(parsed[key])) {
+                    this.values[key] = parsed[key];
+                }
+            });
+        } catch (error) {
+            console.error('Error loading settings:', error);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.values));
+        } catch (error) {
+            console.error('Error saving settings:', error);
+        }
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    set(key, value) {
+        const definition = SETTING_DEFINITIONS[key];
+        if (!definition || !definition.options.includes(value)) {
+            console.warn(`Invalid setting ${key}:`, value);
+            return;
+        }
+
+        this.values[key] = value;
+        this.save();
+        this.apply();
+    }
+
+    // Step a setting to its next option, wrapping around
+    cycle(key) {
+        const options = SETTING_DEFINITIONS[key].options;
+        const next = options[(options.indexOf(this.values[key]) + 1) % options.length];
+        this.set(key, next);
+        return next;
+    }
+
+    describe(key) {
+        return SETTING_DEFINITIONS[key].format(this.values[key]);
+    }
+
+    resetToDefaults() {
+        this.values = GameSettings.defaults();
+        this.save();
+        this.apply();
+    }
+
+    // Push the current values to whichever systems exist
+    apply() {
+        if (window.game) {
+            window.game.setDifficulty(this.values.difficulty);
+        }
+
+        if (window.display) {
+            window.display.setEffects({
+                screenShake: this.values.screenShake,
+                flashes: this.values.flashEffects
+            });
+        }
+
+        if (window.audio) {
+            window.audio.setVolumes(this.values.masterVolume, this.values.effectsVolume);
+        }
+
+        document.body.classList.toggle('crt-off', !this.values.crtOverlay);
+    }
+}
+
+// Make GameSettings available globally
+window.GameSettings = GameSettings;
+window.SETTING_DEFINITIONS = SETTING_DEFINITIONS;
\ No newline at end of file
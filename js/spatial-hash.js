@@ -0,0 +1,96 @@
+/**
+ * Pipeline Defender - Spatial Hash
+ * Uniform-grid broadphase for collision checks: objects are bucketed by the cells their
+ * bounding box overlaps, so a query only looks at objects near the queried area
+ *
+ * The grid holds references to {x, y, width, height} objects and is meant to be cleared
+ * and refilled every simulation tick. Query results keep insertion order so collision
+ * resolution stays deterministic for seeded runs and replays.
+ *
+ * Cell buckets, the dedupe set and (if the caller passes one) the results array are reused
+ * between ticks, so steady-state queries don't allocate.
+ */
+
+class SpatialHash {
+    constructor(cellSize = 64) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // cell key -> objects overlapping that cell
+        this.seen = new Set(); // dedupe for objects spanning several queried cells
+        this.count = 0;
+    }
+
+    // Empty every bucket but keep the arrays for the next tick
+    clear() {
+        this.cells.forEach(cell => {
+            cell.length = 0;
+        });
+        this.count = 0;
+    }
+
+    insert(object) {
+        const minX = this.toCell(object.x);
+        const maxX = this.toCell(object.x + object.width);
+        const minY = this.toCell(object.y);
+        const maxY = this.toCell(object.y + object.height);
+
+        for (let cy = minY; cy <= maxY; cy++) {
+            for (let cx = minX; cx <= maxX; cx++) {
+                const key = SpatialHash.cellKey(cx, cy);
+                let cell = this.cells.get(key);
+                if (!cell) {
+                    cell = [];
+                    this.cells.set(key, cell);
+                }
+                cell.push(object);
+            }
+        }
+        this.count++;
+    }
+
+    /**
+     * Every object whose cells overlap the rectangle - candidates still need an exact test
+     * @param {Object} rect - {x, y, width, height}
+     * @param {Object[]} [results] - array to fill (emptied first); pass one in to avoid allocating
+     */
+    query(rect, results = []) {
+        results.length = 0;
+        this.seen.clear();
+
+        const minX = this.toCell(rect.x);
+        const maxX = this.toCell(rect.x + rect.width);
+        const minY = this.toCell(rect.y);
+        const maxY = this.toCell(rect.y + rect.height);
+
+        for (let cy = minY; cy <= maxY; cy++) {
+            for (let cx = minX; cx <= maxX; cx++) {
+                const cell = this.cells.get(SpatialHash.cellKey(cx, cy));
+                if (!cell) continue;
+
+                for (let i = 0; i < cell.length; i++) {
+                    if (!this.seen.has(cell[i])) {
+                        this.seen.add(cell[i]);
+                        results.push(cell[i]);
+                    }
+                }
+            }
+        }
+        return results;
+    }
+
+    toCell(coordinate) {
+        return Math.floor(coordinate / this.cellSize);
+    }
+
+    // Numeric key for a cell - offset so cells above or left of the play area stay unique
+    static cellKey(cx, cy) {
+        return (cx + 32768) * 65536 + (cy + 32768);
+    }
+}
+
+// Make SpatialHash available globally (browser) and as a CommonJS module (Node)
+if (typeof window !== 'undefined') {
+    window.SpatialHash = SpatialHash;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpatialHash;
+}
\ No newline at end of file
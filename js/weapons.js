@@ -0,0 +1,104 @@
+/**
+ * Pipeline Defender - Weapons
+ * Shot types the player can pick up during a run
+ *
+ * name         - shown on the HUD
+ * icon         - HUD and pickup icon
+ * fireInterval - seconds between shots (the game enforces it in simulation ticks)
+ * damage       - hit points each projectile takes off a bug or boss
+ * pattern      - function from WEAPON_PATTERNS that puts the projectiles into play
+ * projectile   - speed, size, sprite ('bolt', 'beam' or 'orb') and colour of each projectile
+ * pierce       - optional number of extra targets a projectile passes through, -1 for no limit
+ *                (not Infinity - projectiles are saved as JSON, which would turn it into null)
+ * charge       - optional hold-to-charge: `time` seconds to a full charge, shots released under
+ *                `minTime` fizzle, and damage scales from `damage` up to `maxDamage`
+ * upgrade      - picking up the weapon already held raises its level (up to `maxLevel`),
+ *                cutting the fire interval by `fireIntervalStep` per level
+ */
+
+const WEAPON_DEFINITIONS = {
+    single: {
+        name: 'SINGLE SHOT',
+        icon: '•',
+        fireInterval: 0.5,
+        damage: 1,
+        pattern: 'single',
+        projectile: { speed: 6, width: 3, height: 12, sprite: 'bolt', color: '#00ff41' },
+        upgrade: { maxLevel: 3, fireIntervalStep: 0.1 }
+    },
+    double: {
+        name: 'DOUBLE SHOT',
+        icon: '⁑',
+        fireInterval: 0.45,
+        damage: 1,
+        pattern: 'double',
+        gap: 18,
+        projectile: { speed: 7, width: 3, height: 12, sprite: 'bolt', color: '#66fcf1' },
+        upgrade: { maxLevel: 3, fireIntervalStep: 0.08 }
+    },
+    spread: {
+        name: 'SPREAD SHOT',
+        icon: '⋔',
+        fireInterval: 0.6,
+        damage: 1,
+        pattern: 'fan',
+        drift: 1.6,
+        projectile: { speed: 6, width: 3, height: 12, sprite: 'bolt', color: '#ffff00' },
+        upgrade: { maxLevel: 3, fireIntervalStep: 0.1 }
+    },
+    linter: {
+        name: 'LINTER BEAM',
+        icon: '⚡',
+        fireInterval: 0.8,
+        damage: 1,
+        pattern: 'single',
+        pierce: 4,
+        projectile: { speed: 12, width: 6, height: 40, sprite: 'beam', color: '#4169e1' },
+        upgrade: { maxLevel: 3, fireIntervalStep: 0.15 }
+    },
+    scan: {
+        name: 'FULL PIPELINE SCAN',
+        icon: '◉',
+        fireInterval: 0.3,
+        damage: 2,
+        pattern: 'single',
+        pierce: -1,
+        charge: { time: 1.5, minTime: 0.3, maxDamage: 10 },
+        projectile: { speed: 5, width: 28, height: 28, sprite: 'orb', color: '#FC6D26' },
+        upgrade: { maxLevel: 3, fireIntervalStep: 0.05 }
+    }
+};
+
+// Fire patterns - each puts one volley into play through game.addProjectile and returns its projectiles
+const WEAPON_PATTERNS = {
+    // One projectile from the centre of the player
+    single(weapon, shot, game) {
+        return [game.addProjectile(shot)];
+    },
+
+    // Two parallel projectiles either side of the centre
+    double(weapon, shot, game) {
+        return [
+            game.addProjectile({ ...shot, x: shot.x - weapon.gap / 2 }),
+            game.addProjectile({ ...shot, x: shot.x + weapon.gap / 2 })
+        ];
+    },
+
+    // Three projectiles fanning out
+    fan(weapon, shot, game) {
+        return [
+            game.addProjectile(shot),
+            game.addProjectile({ ...shot, vx: -weapon.drift }),
+            game.addProjectile({ ...shot, vx: weapon.drift })
+        ];
+    }
+};
+
+// Make the weapon tables available globally (browser) and as a CommonJS module (Node)
+if (typeof window !== 'undefined') {
+    window.WEAPON_DEFINITIONS = WEAPON_DEFINITIONS;
+    window.WEAPON_PATTERNS = WEAPON_PATTERNS;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WEAPON_DEFINITIONS, WEAPON_PATTERNS };
+}
\ No newline at end of file